@@ -1,19 +1,41 @@
 #!/usr/bin/env node
 
 import { readFileSync } from 'node:fs';
-import { resolve, dirname } from 'node:path';
+import { createInterface } from 'node:readline/promises';
+import { resolve, dirname, basename } from 'node:path';
 import { fileURLToPath } from 'node:url';
 import { fetchRateLimits, WINDOW_LABELS } from '../lib/rate-limits.js';
-import { evaluate, isQuietHours } from '../lib/threshold.js';
-import { loadTasks, saveTasks, pickTask, updateTaskStatus, getTaskSummary } from '../lib/task-manager.js';
-import { executeTask } from '../lib/executor.js';
-import { appendRecord, getRecentHistory } from '../lib/history.js';
+import { evaluate, isQuietHours, describeQuiet, windowLimit, routeModel, OVERAGE_WINDOW } from '../lib/threshold.js';
+import { loadTasks, saveTaskChanges, explainPick, getTaskSummary, getTaskTree, taskWorkDir, taskEligibleAt, nextTaskTime, eligibleTasks } from '../lib/task-manager.js';
+import { retryPolicy, planRetry, classifyError, RETRY_DEFAULTS } from '../lib/retry.js';
+import { executeTask, makeRunId, pruneRunContext } from '../lib/executor.js';
+import { appendRecord, getRecentHistory, loadHistory, getTaskUsageStats, getLastRunTimes } from '../lib/history.js';
+import { appendSample, loadSamples, analyzeWindow, bucketUtilization, runInterval } from '../lib/samples.js';
 import { watchLoop } from '../lib/scheduler.js';
+import { runPool } from '../lib/pool.js';
+import { loadSimulation } from '../lib/simulator.js';
+import { pendingReviews, findRun, formatPatch, acceptRun, rejectRun } from '../lib/review.js';
+import { listRuns, readReport, runPaths, pruneReports, isSafeId, REPORT_RETENTION_DEFAULTS } from '../lib/reports.js';
+import { acquireInstanceLock, currentOwner } from '../lib/instance.js';
+import { validateConfig, validateTasks, invalidTasks, formatProblem } from '../lib/validate.js';
+import { jsonErrorLocation } from '../lib/store.js';
 import * as logger from '../lib/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PROJECT_ROOT = resolve(__dirname, '..');
 
+/**
+ * Side-effecting dependencies of a cycle. --simulate swaps these for the
+ * offline simulator, which has no `pruneRuns`: simulated runs leave report
+ * retention alone.
+ */
+const LIVE_ENV = {
+  fetchRateLimits,
+  executeTask,
+  now: () => Date.now(),
+  pruneRuns,
+};
+
 // --- CLI Argument Parsing ---
 
 function parseArgs(argv) {
@@ -24,6 +46,11 @@ function parseArgs(argv) {
     once: false,
     verbose: false,
     help: false,
+    command: null,
+    commandArgs: [],
+    week: false,
+    run: null,
+    simulatePath: null,
     configPath: resolve(PROJECT_ROOT, 'config.json'),
     tasksPath: resolve(PROJECT_ROOT, 'tasks.json'),
   };
@@ -43,13 +70,30 @@ function parseArgs(argv) {
       case '--tasks':
         args.tasksPath = resolve(argv[++i] || 'tasks.json');
         break;
+      case '--simulate':
+        args.simulatePath = resolve(argv[++i] || 'simulation.json');
+        break;
+      case '--week':
+        args.week = true;
+        break;
+      case '--run':
+        args.run = argv[++i] ?? null;
+        break;
+      case 'trends':
+      case 'review':
+      case 'report':
+      case 'validate':
+        if (args.command) args.commandArgs.push(arg);
+        else args.command = arg;
+        break;
       default:
-        logger.warn(`Unknown argument: ${arg}`);
+        if (args.command && !arg.startsWith('-')) args.commandArgs.push(arg);
+        else logger.warn(`Unknown argument: ${arg}`);
     }
   }
 
   // Default to --once if no mode specified
-  if (!args.watch && !args.status && !args.help) {
+  if (!args.watch && !args.status && !args.help && !args.command) {
     args.once = true;
   }
 
@@ -61,12 +105,32 @@ function showHelp() {
 burn - Automatically run Claude Code tasks when rate limit capacity is underused
 
 Usage: burn [options]
+       burn trends [--week]
+       burn review [list | show <run> | accept <run> | reject <run>]
+       burn report <taskId> [--run N]
+       burn validate
+
+Commands:
+  trends              Per-window utilization sparklines, unused capacity at
+                      each reset, and burner vs interactive usage (last day,
+                      or last 7 days with --week)
+  review              Go through unreviewed runs' patches one by one and
+                      accept or reject (revert) them. <run> is
+                      <taskId>/<runId>, a run id, or a task id (its latest
+                      unreviewed run)
+  report <taskId>     Result text, error, cost and duration of the task's
+                      latest run, or of run N (1 = oldest, or a run id)
+                      with --run
+  validate            Check config.json and tasks.json: types, allowed
+                      values, required fields, unique ids, dependencies,
+                      projectDir paths, unknown keys. Exits 1 on errors
 
 Modes:
   --once              Run one check cycle then exit (default)
   --watch, -w         Run in watch mode (check every N minutes)
   --status, -s        Show current rate limit status + task queue dashboard
   --dry-run, -d       Show what would happen without executing
+  --simulate <file>   Run offline against simulated rate limits and a fake executor
 
 Options:
   --config <path>     Path to config.json (default: ./config.json)
@@ -79,43 +143,112 @@ Examples:
   burn --watch             Continuously monitor and run tasks
   burn --dry-run           Preview without executing
   burn --status            Dashboard view of rate limits + tasks
+  burn trends --week       Utilization trends over the last 7 days
+  burn review              Review the changes made by unattended runs
+  burn report fix-tests --run 3
+                           Show the third recorded run of task "fix-tests"
+  burn validate --tasks ~/burn/tasks.json
+                           Check a tasks file after editing it
+  burn --simulate sim.json --tasks /tmp/tasks.json
+                           Replay a synthetic day of usage offline
 `.trim());
 }
 
 // --- Config Loading ---
 
-function loadConfig(configPath) {
-  const defaults = {
+function configDefaults() {
+  return {
     thresholds: {
+      policy: 'static',
       maxUtilization: 0.80,
+      windows: {},
+      allowOverage: false,
     },
     watch: {
       intervalMinutes: 10,
       quietHoursStart: null,
       quietHoursEnd: null,
+      quietHours: null,
+      adaptive: true,
+      minIntervalMinutes: 2,
+      maxIntervalMinutes: 60,
+      fastPollMargin: 0.05,
     },
     execution: {
       model: null,
       defaultAllowedTools: null,
+      concurrency: 1,
+    },
+    auth: {
+      tokenUrl: null,
+      clientId: null,
     },
+    api: {
+      baseUrl: null,
+    },
+    scheduling: {
+      requireFinishBeforeReset: true,
+      useWorstCase: false,
+    },
+    retry: { ...RETRY_DEFAULTS },
+    reports: { ...REPORT_RETENTION_DEFAULTS },
   };
+}
 
+/**
+ * Read config.json merged over the defaults, and validate it (see
+ * lib/validate.js); warnings are logged. A missing file gives the defaults.
+ * Throws if the file can't be read or parsed, or is invalid.
+ */
+function readConfig(configPath) {
+  const defaults = configDefaults();
+  let raw;
+  let user;
   try {
-    const raw = readFileSync(configPath, 'utf-8');
-    const user = JSON.parse(raw);
-    // Deep merge one level
-    return {
-      thresholds: { ...defaults.thresholds, ...user.thresholds },
-      watch: { ...defaults.watch, ...user.watch },
-      execution: { ...defaults.execution, ...user.execution },
-    };
+    raw = readFileSync(configPath, 'utf-8');
+    user = JSON.parse(raw);
   } catch (err) {
     if (err.code === 'ENOENT') {
       logger.debug(`No config at ${configPath}, using defaults`);
-    } else {
-      logger.warn(`Failed to read config: ${err.message}, using defaults`);
+      return defaults;
+    }
+    if (err instanceof SyntaxError) {
+      throw new Error(`${basename(configPath)}: invalid JSON${jsonErrorLocation(raw, err)}: ${err.message}`);
     }
-    return defaults;
+    throw err;
+  }
+
+  const problems = validateConfig(user, { file: basename(configPath) });
+  for (const p of problems.filter(p => p.level === 'warning')) logger.warn(formatProblem(p));
+  const errors = problems.filter(p => p.level === 'error');
+  if (errors.length > 0) {
+    throw new Error(`${errors.length} error(s):\n  ${errors.map(formatProblem).join('\n  ')}`);
+  }
+
+  // Deep merge one level
+  return {
+    thresholds: { ...defaults.thresholds, ...user.thresholds },
+    watch: { ...defaults.watch, ...user.watch },
+    execution: { ...defaults.execution, ...user.execution },
+    auth: { ...defaults.auth, ...user.auth },
+    api: { ...defaults.api, ...user.api },
+    scheduling: { ...defaults.scheduling, ...user.scheduling },
+    retry: { ...defaults.retry, ...user.retry },
+    reports: { ...defaults.reports, ...user.reports },
+  };
+}
+
+/**
+ * Config for startup. An invalid config is fatal: running with defaults
+ * instead could spend quota the user meant to keep.
+ */
+function loadConfig(configPath) {
+  try {
+    return readConfig(configPath);
+  } catch (err) {
+    logger.error(`Invalid config: ${err.message}`);
+    logger.error('Run `burn validate` for details.');
+    process.exit(1);
   }
 }
 
@@ -139,15 +272,43 @@ function formatDuration(ms) {
   return `in ${d}d ${remH}h`;
 }
 
+// --- Rate Limit Probe ---
+
+function samplesPathFor(tasksPath) {
+  return resolve(dirname(tasksPath), 'samples.jsonl');
+}
+
+/**
+ * Fetch rate limits and record the result in the samples time series.
+ */
+async function probe(config, tasksPath, env) {
+  const rateLimits = await env.fetchRateLimits(config);
+  appendSample(samplesPathFor(tasksPath), rateLimits, new Date(env.now()).toISOString());
+  return rateLimits;
+}
+
 // --- Status Dashboard ---
 
-async function showStatus(config, tasksPath) {
+/**
+ * When an "on" task may next start, for the status table: "now", a time with
+ * what holds it back (schedule, time window or retry backoff), or "never".
+ */
+function formatNextEligible(task, lastRunAt, now) {
+  if (task.status !== 'on') return '-';
+  const { at, reason } = taskEligibleAt(task, { lastRunAt, now });
+  if (at == null) return `never (${reason})`;
+  return at <= now ? 'now' : `${new Date(at).toLocaleString()} (${reason})`;
+}
+
+async function showStatus(config, tasksPath, env = LIVE_ENV) {
   const historyPath = resolve(dirname(tasksPath), 'history.json');
 
   logger.header('Rate Limits');
-  const rateLimits = await fetchRateLimits();
+  const rateLimits = await probe(config, tasksPath, env);
 
-  if (rateLimits) {
+  if (rateLimits?.needsRelogin) {
+    console.log(`  Credentials:  NEED RE-LOGIN (${rateLimits.error}) — run \`claude\` to log in again`);
+  } else if (rateLimits) {
     if (rateLimits.subscription) {
       console.log(`  Subscription: ${rateLimits.subscription}`);
     }
@@ -169,14 +330,22 @@ async function showStatus(config, tasksPath) {
 
       let resetStr = '';
       if (data.reset) {
-        const diffMs = data.reset * 1000 - Date.now();
+        const diffMs = data.reset * 1000 - env.now();
         if (diffMs > 0) {
           resetStr = ` | resets ${formatDuration(diffMs)}`;
         }
       }
 
+      let limitStr;
+      if (name === OVERAGE_WINDOW) {
+        limitStr = config.thresholds.allowOverage ? 'overage allowed' : 'never burn';
+      } else {
+        const { limit, kind } = windowLimit(name, data, config.thresholds, env.now());
+        limitStr = `limit ${(limit * 100).toFixed(1)}% (${kind})`;
+      }
+
       console.log(`  ${label} [${statusIcon}]`);
-      console.log(`    ${bar} ${pctUsed}% used (${pctFree}% remaining)${resetStr}`);
+      console.log(`    ${bar} ${pctUsed}% used (${pctFree}% remaining)${resetStr} | ${limitStr}`);
       console.log('');
     }
   } else {
@@ -184,7 +353,7 @@ async function showStatus(config, tasksPath) {
   }
 
   logger.header('Threshold Evaluation');
-  const decision = evaluate({ rateLimits, config });
+  const decision = evaluate({ rateLimits, config, now: env.now() });
   console.log(`  Should run: ${decision.shouldRun ? 'YES' : 'NO'}`);
   console.log(`  Reason:     ${decision.reason}`);
   if (decision.bindingWindow) {
@@ -193,16 +362,46 @@ async function showStatus(config, tasksPath) {
   if (decision.utilization != null) {
     console.log(`  Utilization: ${(decision.utilization * 100).toFixed(1)}%`);
   }
+  if (decision.ceiling != null) {
+    console.log(`  Ceiling:    ${(decision.ceiling * 100).toFixed(1)}% (${config.thresholds.policy ?? 'static'} policy)`);
+  }
+  if (decision.models) {
+    console.log(`  Models:     only ${decision.models.join(' or ')}`);
+  }
+  const quiet = isQuietHours(config.watch, env.now());
+  console.log(`  Quiet hours: ${quiet ? describeQuiet(quiet, env.now()) : 'no'}`);
 
   logger.header('Task Queue');
   const taskData = loadTasks(tasksPath);
-  const summary = getTaskSummary(taskData);
+  const history = loadHistory(historyPath);
+  const usageStats = getTaskUsageStats(history);
+  const lastRuns = getLastRunTimes(history);
+  const invalid = invalidTasks(taskData, { file: basename(tasksPath) });
+  const summary = getTaskSummary(taskData).map((row, i) => {
+    const stats = usageStats[row.id];
+    return {
+      ...row,
+      next: invalid.has(row.id) ? 'invalid (run burn validate)' : formatNextEligible(taskData.tasks[i], lastRuns[row.id], env.now()),
+      'avg cost': stats ? formatWindowCost(stats.avg) : '-',
+      'worst cost': stats ? formatWindowCost(stats.worst) : '-',
+    };
+  });
   if (summary.length > 0) {
     logger.table(summary);
   } else {
     console.log('  No tasks defined');
   }
 
+  if ((taskData.tasks || []).some(t => t.dependsOn?.length)) {
+    logger.header('Dependency Tree');
+    for (const { depth, task, state, reason, repeated } of getTaskTree(taskData)) {
+      const indent = '  '.repeat(depth + 1) + (depth > 0 ? '└─ ' : '');
+      const color = { ready: logger.COLORS.green, blocked: logger.COLORS.yellow, failed: logger.COLORS.red }[state] || logger.COLORS.dim;
+      const detail = repeated ? ' (see above)' : (reason ? ` — ${reason}` : '');
+      console.log(`${indent}${task.id} ${color}[${state.toUpperCase()}]${logger.COLORS.reset}${detail}`);
+    }
+  }
+
   logger.header('Recent History');
   const recent = getRecentHistory(historyPath);
   if (recent.length > 0) {
@@ -212,73 +411,696 @@ async function showStatus(config, tasksPath) {
   }
 }
 
-// --- Core Cycle ---
+// --- Trends ---
 
-async function runCycle(config, tasksPath, dryRun) {
-  const historyPath = resolve(dirname(tasksPath), 'history.json');
+const SPARK_CHARS = ' ▁▂▃▄▅▆▇█';
+const SPARK_WIDTH = 48;
 
-  // 1. Fetch rate limits
-  logger.info('Checking rate limits...');
-  const rateLimits = await fetchRateLimits();
+function sparkline(buckets) {
+  return buckets.map(u => {
+    if (u == null) return '·';
+    const i = Math.min(SPARK_CHARS.length - 1, Math.max(1, Math.round(u * (SPARK_CHARS.length - 1))));
+    return SPARK_CHARS[i];
+  }).join('');
+}
 
-  // 2. Evaluate thresholds
-  const decision = evaluate({ rateLimits, config });
-  logger.info(`Decision: ${decision.reason}`);
+function formatPct(u) {
+  return `${(u * 100).toFixed(1)}%`;
+}
 
-  if (!decision.shouldRun) {
+function showTrends(tasksPath, week) {
+  const historyPath = resolve(dirname(tasksPath), 'history.json');
+  const spanMs = (week ? 7 : 1) * 86_400_000;
+  const toMs = Date.now();
+  const fromMs = toMs - spanMs;
+
+  const samples = loadSamples(samplesPathFor(tasksPath), fromMs);
+  const history = loadHistory(historyPath).filter(h => runInterval(h)[1] >= fromMs);
+
+  logger.header(`Utilization Trends - last ${week ? '7 days' : '24 hours'}`);
+  if (samples.length === 0) {
+    console.log('  No rate limit samples recorded yet');
     return;
   }
 
-  // 3. Pick a task
-  const taskData = loadTasks(tasksPath);
-  const task = pickTask(taskData);
+  // Columns in which a burner task was running
+  const runMarks = new Array(SPARK_WIDTH).fill(' ');
+  for (const h of history) {
+    const [start, end] = runInterval(h);
+    const first = Math.max(0, Math.floor(((start - fromMs) / spanMs) * SPARK_WIDTH));
+    const last = Math.min(SPARK_WIDTH - 1, Math.floor(((end - fromMs) / spanMs) * SPARK_WIDTH));
+    for (let i = first; i <= last; i++) runMarks[i] = '^';
+  }
 
-  if (!task) {
-    logger.info('No eligible tasks in queue');
-    return;
+  const fmtTime = ms => new Date(ms).toLocaleString([], week
+    ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }
+    : { hour: '2-digit', minute: '2-digit' });
+  console.log(`  ${samples.length} samples, ${history.length} task runs`);
+  console.log('');
+
+  const windowNames = [...new Set(samples.flatMap(s => Object.keys(s.windows || {})))];
+  for (const name of windowNames) {
+    const label = WINDOW_LABELS[name] || name;
+    const buckets = bucketUtilization(samples, name, fromMs, toMs, SPARK_WIDTH);
+    const values = buckets.filter(u => u != null);
+    // Windows that only report a status (overage) have nothing to plot
+    if (values.length === 0) continue;
+    const latest = [...samples].reverse().find(s => s.windows?.[name]?.utilization != null)?.windows[name].utilization;
+
+    console.log(`  ${label}`);
+    console.log(`    |${sparkline(buckets)}| now ${formatPct(latest ?? 0)}, peak ${formatPct(Math.max(...values))}`);
+    console.log(`    |${runMarks.join('')}| ^ = burner task running`);
+    const toLabel = fmtTime(toMs);
+    console.log(`     ${fmtTime(fromMs).padEnd(SPARK_WIDTH - toLabel.length)}${toLabel}`);
+
+    const periods = analyzeWindow(samples, name, history);
+    const rows = periods.map(p => ({
+      reset: p.reset ? new Date(p.reset * 1000).toLocaleString() : '-',
+      state: p.complete ? 'reset' : 'current',
+      used: formatPct(p.lastUtilization),
+      unused: p.complete ? formatPct(p.unused) : '-',
+      burner: formatPct(p.burner),
+      interactive: formatPct(p.interactive),
+    }));
+    if (rows.length > 0) {
+      console.log('');
+      logger.table(rows);
+    }
+    console.log('');
   }
+}
 
-  logger.info(`Selected task: "${task.name}" (priority ${task.priority ?? '-'}, budget $${task.maxBudgetUSD ?? 'unlimited'})`);
+// --- Core Cycle ---
 
-  if (dryRun) {
-    logger.warn('[DRY RUN] Would execute this task. Stopping here.');
+/**
+ * Per-window utilization change between two probes. Windows that reset in
+ * between, or are missing from either probe, are left out.
+ */
+function windowDelta(before, after) {
+  if (!before?.windows || !after?.windows) return null;
+  const delta = {};
+  for (const [name, a] of Object.entries(after.windows)) {
+    const b = before.windows[name];
+    if (!b || b.utilization == null || a.utilization == null) continue;
+    if (b.reset && a.reset && b.reset !== a.reset) continue;
+    delta[name] = +(a.utilization - b.utilization).toFixed(4);
+  }
+  return Object.keys(delta).length > 0 ? delta : null;
+}
+
+/**
+ * Run a single task to completion and record the outcome.
+ * Mutates and saves cycle.taskData; safe to call concurrently since all
+ * writes happen synchronously between awaits.
+ *
+ * `before` is the probe taken right before dispatch; another probe is taken
+ * afterwards so the history record can store the per-window utilization the
+ * run consumed. Runs that overlapped other tasks are flagged, since their
+ * deltas include the other tasks' usage.
+ */
+async function runTask(task, model, before, cycle) {
+  const { taskData, config, tasksPath, historyPath, env, running } = cycle;
+
+  const startedAt = new Date(env.now()).toISOString();
+  const runId = makeRunId(new Date(startedAt));
+
+  // Mark as running, unless the task was changed on disk since it was picked.
+  // The owner lets a later burn process recover the task if this one dies.
+  const owner = { ...currentOwner(), runId, startedAt };
+  const status = saveTaskChanges(tasksPath, taskData, task.id, { status: 'running', owner }, { expectStatus: task.status });
+  if (status !== 'running') {
+    logger.warn(`Not running "${task.name}": ${status === null ? 'it was removed from tasks.json' : `it was set to "${status}" in tasks.json after it was picked`}`);
     return;
   }
 
-  // 4. Mark as running
-  updateTaskStatus(taskData, task.id, 'running');
-  saveTasks(tasksPath, taskData);
+  const run = { overlapped: running.size > 0 };
+  for (const other of running) other.overlapped = true;
+  running.add(run);
 
-  // 5. Execute
-  const result = executeTask(task, config);
+  // Execute. The executor reports failures in its result; if it throws
+  // anyway (e.g. an unreadable settings file), record that as a failed run
+  // so the task doesn't stay "running" until the next restart.
+  let result;
+  try {
+    result = await env.executeTask(task, config, { model, runId });
+  } catch (err) {
+    logger.error(`[${task.id}] Executor error: ${err.message}`);
+    result = {
+      success: false,
+      model,
+      costUSD: null,
+      durationMs: env.now() - Date.parse(startedAt),
+      tokens: null,
+      error: `Executor error: ${err.message}`,
+      errorClass: classifyError(err.message),
+    };
+  } finally {
+    running.delete(run);
+  }
+
+  const after = await probe(config, tasksPath, env);
+  const delta = windowDelta(before, after);
 
-  // 6. Update status
-  let newStatus;
+  // Update status (and retry state)
+  const attempt = (task.attempts ?? 0) + 1;
+  let changes;
+  let retry = null;
   if (result.success) {
-    newStatus = task.repeat ? 'on' : 'done';
+    changes = { status: task.repeat ? 'on' : 'done', attempts: undefined, nextAttemptAt: undefined };
   } else {
-    newStatus = 'failed';
+    retry = planRetry(task, result.errorClass ?? 'unknown', retryPolicy(task, config), env.now());
+    changes = retry.retry
+      ? { status: 'on', attempts: retry.attempts, nextAttemptAt: retry.nextAttemptAt }
+      : { status: 'failed', attempts: undefined, nextAttemptAt: undefined };
+  }
+  changes.owner = undefined;
+
+  // Remember the session so a "resume" continuation can pick it up next run
+  if (result.sessionId) {
+    changes.sessionId = result.sessionId;
+  }
+
+  // Merge into the file as it is now: edits made during the run (by a human,
+  // or by the task's own prompt, e.g. setting itself "off") are kept. The
+  // history record is written even if this fails.
+  let newStatus = null;
+  try {
+    const otherwise = { owner: undefined, ...(result.sessionId && { sessionId: result.sessionId }) };
+    newStatus = saveTaskChanges(tasksPath, taskData, task.id, changes, { expectStatus: 'running', otherwise });
+    if (newStatus === null) {
+      logger.warn(`Task "${task.name}" was removed from ${basename(tasksPath)} during the run, its status is not saved`);
+    } else if (newStatus !== changes.status) {
+      logger.warn(`Task "${task.name}" was set to "${newStatus}" during the run, keeping it`);
+    }
+  } catch (err) {
+    logger.error(`Could not save the outcome of "${task.name}" to ${basename(tasksPath)}: ${err.message}. It stays "running" until the next burn start recovers it`);
   }
-  updateTaskStatus(taskData, task.id, newStatus);
-  saveTasks(tasksPath, taskData);
 
-  // 7. Log to history
+  // Log to history
   appendRecord(historyPath, {
+    timestamp: new Date(env.now()).toISOString(),
+    startedAt,
+    runId,
     taskId: task.id,
     taskName: task.name,
+    model: result.model,
     success: result.success,
     costUSD: result.costUSD,
     durationMs: result.durationMs,
+    tokens: result.tokens,
+    sessionId: result.sessionId,
+    resumed: result.resumed,
+    branch: result.worktree?.branch,
+    diffStat: result.worktree?.diffStat && {
+      files: result.worktree.diffStat.files,
+      insertions: result.worktree.diffStat.insertions,
+      deletions: result.worktree.diffStat.deletions,
+    },
+    patch: result.changes?.patch,
+    repoRoot: result.worktree?.root ?? result.changes?.root,
+    // Rolled-back changes are gone already, there is nothing left to review
+    review: result.rolledBack ? 'rolled back' : null,
+    changes: result.changes?.patch ? {
+      files: result.changes.files.length,
+      insertions: result.changes.insertions,
+      deletions: result.changes.deletions,
+    } : null,
+    windowDelta: delta,
+    overlapped: run.overlapped,
     error: result.error,
+    errorClass: result.errorClass,
+    attempt,
+    retryAt: retry?.retry ? retry.nextAttemptAt : null,
   });
 
+  // Apply report retention (not under --simulate, whose runs share reports/)
+  env.pruneRuns?.(config, historyPath);
+
+  const deltaInfo = delta ? ` [${formatWindowCost(delta)}]` : '';
+  if (result.worktree) {
+    const stat = result.worktree.diffStat;
+    logger.info(stat
+      ? `Changes committed to ${result.worktree.branch} (${stat.files} files, +${stat.insertions} -${stat.deletions})`
+      : `No changes in worktree for "${task.name}"`);
+  }
   if (result.success) {
-    logger.success(`Task "${task.name}" completed -> ${newStatus}`);
+    logger.success(`Task "${task.name}" completed${newStatus ? ` -> ${newStatus}` : ''}${deltaInfo}`);
+  } else if (retry.retry) {
+    logger.warn(`Task "${task.name}" failed (${result.errorClass}), retry #${retry.attempts} ${formatDuration(retry.delayMs)}: ${result.error?.slice(0, 200)}`);
   } else {
-    logger.error(`Task "${task.name}" failed: ${result.error?.slice(0, 200)}`);
+    logger.error(`Task "${task.name}" failed (${result.errorClass}, ${retry.reason}): ${result.error?.slice(0, 200)}`);
+  }
+}
+
+/**
+ * Apply report retention to the reports and context files of the runs in
+ * this history; runs still waiting for review keep their patch. Reports of
+ * other tasks files sharing reports/ are not touched.
+ */
+function pruneRuns(config, historyPath) {
+  const history = loadHistory(historyPath);
+  const owned = new Set(history.filter(h => h.runId).map(h => `${h.taskId}/${h.runId}`));
+  const unreviewed = new Set(pendingReviews(historyPath).map(h => `${h.taskId}/${h.runId}`));
+  pruneReports(config.reports, { owned, keep: unreviewed });
+  pruneRunContext(config.reports, { owned });
+}
+
+/**
+ * Move tasks left "running" by a burn process that died (reboot, OOM,
+ * restart) back to "on" or to "failed", following the retry policy for the
+ * "interrupted" error class, and log each recovery to history.
+ *
+ * Only called while holding the instance lock: no other burn process can be
+ * running tasks from this file, so every "running" task is orphaned.
+ */
+function recoverStaleTasks(config, tasksPath) {
+  const historyPath = resolve(dirname(tasksPath), 'history.json');
+  const taskData = loadTasks(tasksPath);
+  const now = Date.now();
+
+  for (const task of (taskData.tasks || []).filter(t => t.status === 'running')) {
+    const retry = planRetry(task, 'interrupted', retryPolicy(task, config), now);
+    const changes = retry.retry
+      ? { status: 'on', attempts: retry.attempts, nextAttemptAt: retry.nextAttemptAt, owner: undefined }
+      : { status: 'failed', attempts: undefined, nextAttemptAt: undefined, owner: undefined };
+    const status = saveTaskChanges(tasksPath, taskData, task.id, changes, { expectStatus: 'running', otherwise: { owner: undefined } });
+
+    const owner = task.owner ? `burn process ${task.owner.pid} on ${task.owner.host}` : 'a burn process';
+    const startedAt = task.owner?.startedAt ?? null;
+    appendRecord(historyPath, {
+      timestamp: new Date(now).toISOString(),
+      startedAt,
+      runId: task.owner?.runId,
+      taskId: task.id,
+      taskName: task.name,
+      success: false,
+      costUSD: null,
+      durationMs: startedAt ? now - Date.parse(startedAt) : null,
+      error: `Interrupted: ${owner} exited while the task was running`,
+      errorClass: 'interrupted',
+      attempt: (task.attempts ?? 0) + 1,
+      retryAt: retry.retry ? retry.nextAttemptAt : null,
+      recovered: true,
+    });
+    logger.warn(`Recovered task "${task.name}" left running by ${owner}${startedAt ? ` since ${new Date(startedAt).toLocaleString()}` : ''} -> ${status}${retry.retry ? ` (retry ${formatDuration(retry.delayMs)})` : ''}`);
   }
 }
 
+/**
+ * Take the single-instance lock for the tasks file, so cron and the service
+ * can't run cycles at the same time. Returns false if another live burn
+ * process holds it.
+ */
+function claimInstance(tasksPath, mode) {
+  const lockPath = resolve(dirname(tasksPath), 'burn.lock');
+  const { heldBy } = acquireInstanceLock(lockPath, { mode });
+  if (heldBy) {
+    logger.warn(`Another burn instance is running (pid ${heldBy.pid ?? '?'}${heldBy.host ? ` on ${heldBy.host}` : ''}${heldBy.mode ? `, ${heldBy.mode} mode` : ''}${heldBy.since ? ` since ${new Date(heldBy.since).toLocaleString()}` : ''}), exiting`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * For watch mode: the ids of the tasks that may start now as far as the
+ * queue goes (status, dependencies, time controls, retry backoff), and the
+ * next one to become eligible by time ({ at, task } or null).
+ */
+function queueState(tasksPath) {
+  const historyPath = resolve(dirname(tasksPath), 'history.json');
+  const taskData = loadTasks(tasksPath);
+  const lastRuns = getLastRunTimes(loadHistory(historyPath));
+  const excludeIds = new Set(invalidTasks(taskData, { file: basename(tasksPath) }).keys());
+  const now = Date.now();
+  return {
+    eligible: eligibleTasks(taskData, { excludeIds, lastRuns, now }).map(t => t.id),
+    next: nextTaskTime(taskData, { excludeIds, lastRuns, now }),
+  };
+}
+
+/**
+ * One check cycle: probe, evaluate, dispatch eligible tasks.
+ *
+ * Returns what the watch loop needs to plan its next wake-up:
+ * { decision, rateLimits, ran, skipped, nextTask } where `ran` counts tasks
+ * started, `skipped` tasks passed over for capacity, and `nextTask`
+ * ({ at, task }) is the next task to become eligible by time when none ran.
+ */
+async function runCycle(config, tasksPath, dryRun, env = LIVE_ENV) {
+  const historyPath = resolve(dirname(tasksPath), 'history.json');
+  const concurrency = Math.max(1, Math.floor(config.execution?.concurrency ?? 1));
+
+  // 1. Fetch rate limits
+  logger.info('Checking rate limits...');
+  const rateLimits = await probe(config, tasksPath, env);
+
+  // 2. Evaluate thresholds
+  const decision = evaluate({ rateLimits, config, now: env.now() });
+  logger.info(`Decision: ${decision.reason}`);
+
+  if (!decision.shouldRun) {
+    return { decision, rateLimits };
+  }
+
+  const taskData = loadTasks(tasksPath);
+  const history = loadHistory(historyPath);
+  const usageStats = getTaskUsageStats(history);
+  const lastRuns = getLastRunTimes(history);
+
+  // Never hand a task that fails validation to claude
+  const invalid = invalidTasks(taskData, { file: basename(tasksPath) });
+  for (const [id, errors] of invalid) {
+    logger.warn(`Skipping task "${id}", it fails validation: ${errors.map(e => `${e.path}: ${e.message}`).join('; ')}`);
+  }
+  const excluded = (ids) => new Set([...ids, ...invalid.keys()]);
+
+  if (dryRun) {
+    // Preview the first batch the pool would dispatch
+    const busyDirs = new Set();
+    const picked = new Set();
+    const fit = { rateLimits, stats: usageStats, now: env.now() };
+    const reported = new Set();
+    for (let i = 0; i < concurrency; i++) {
+      const { task, skipped } = explainPick(taskData, { excludeIds: excluded(picked), busyDirs, decision, config, fit, lastRuns, now: env.now() });
+      logSkipped(skipped, reported);
+      if (!task) break;
+      picked.add(task.id);
+      busyDirs.add(taskWorkDir(task));
+      logSelected(task, routeModel(task, decision, config), usageStats[task.id]);
+    }
+    if (picked.size === 0) {
+      logger.info('No eligible tasks in queue');
+    } else {
+      logger.warn('[DRY RUN] Would execute the selected task(s). Stopping here.');
+    }
+    return { decision, rateLimits };
+  }
+
+  // 3. Dispatch tasks through the worker pool. Each task runs at most once
+  //    per cycle, and never two at a time against the same projectDir.
+  //    Tasks whose estimate doesn't fit the remaining capacity are skipped.
+  const busyDirs = new Set();
+  const started = new Set();
+  const reported = new Set();
+  const cycle = { taskData, config, tasksPath, historyPath, env, running: new Set() };
+  let current = decision;
+  let latest = rateLimits;
+
+  await runPool({
+    concurrency,
+    next: async ({ active, stop }) => {
+      const pickOpts = () => ({
+        excludeIds: excluded(started),
+        busyDirs,
+        decision: current,
+        config,
+        lastRuns,
+        now: env.now(),
+        fit: { rateLimits: latest, stats: usageStats, now: env.now() },
+      });
+      let { task, skipped } = explainPick(taskData, pickOpts());
+      logSkipped(skipped, reported);
+      if (!task) {
+        if (started.size === 0) logger.info('No eligible tasks in queue');
+        return null;
+      }
+
+      // Re-probe before every dispatch after the first: running tasks burn quota
+      if (started.size > 0) {
+        latest = await probe(config, tasksPath, env);
+        current = evaluate({ rateLimits: latest, config, now: env.now() });
+        if (!current.shouldRun) {
+          logger.info(`Stopping dispatch: ${current.reason}`);
+          stop();
+          return null;
+        }
+        logger.debug(`Re-check passed (${active} running): ${current.reason}`);
+
+        ({ task, skipped } = explainPick(taskData, pickOpts()));
+        logSkipped(skipped, reported);
+        if (!task) return null;
+      }
+
+      const model = routeModel(task, current, config);
+      started.add(task.id);
+      busyDirs.add(taskWorkDir(task));
+      logSelected(task, model, usageStats[task.id]);
+      return { task, model, before: latest };
+    },
+    run: async ({ task, model, before }) => {
+      try {
+        await runTask(task, model, before, cycle);
+      } finally {
+        busyDirs.delete(taskWorkDir(task));
+      }
+    },
+  });
+
+  return {
+    decision: current,
+    rateLimits: latest,
+    ran: started.size,
+    skipped: reported.size,
+    nextTask: started.size === 0 ? nextTaskTime(taskData, { excludeIds: excluded([]), lastRuns, now: env.now() }) : null,
+  };
+}
+
+/**
+ * Log tasks skipped for not fitting the remaining capacity, once per cycle.
+ */
+function logSkipped(skipped, reported) {
+  for (const { task, reason } of skipped) {
+    if (reported.has(task.id)) continue;
+    reported.add(task.id);
+    logger.warn(`Skipping "${task.name}": ${reason}`);
+  }
+}
+
+function logSelected(task, model, stats) {
+  const modelInfo = model ? `, model ${model}` : '';
+  const costInfo = stats ? `, window cost avg ${formatWindowCost(stats.avg)} / worst ${formatWindowCost(stats.worst)}` : '';
+  logger.info(`Selected task: "${task.name}" (priority ${task.priority ?? '-'}, budget $${task.maxBudgetUSD ?? 'unlimited'}${modelInfo}${costInfo})`);
+}
+
+/**
+ * Format a per-window utilization delta, e.g. "5h +3.2% 7d +0.4%".
+ */
+function formatWindowCost(delta) {
+  return Object.entries(delta)
+    .map(([name, d]) => `${name} ${d >= 0 ? '+' : ''}${(d * 100).toFixed(1)}%`)
+    .join(' ') || '-';
+}
+
+// --- Reports ---
+
+/**
+ * `burn report <taskId> [--run N]`: print one run's report. N is the run's
+ * position (1 = oldest) or its run id; default is the latest run.
+ */
+function showReport(taskId, runRef) {
+  if (!taskId) {
+    logger.error('Usage: burn report <taskId> [--run N]');
+    return false;
+  }
+  if (!isSafeId(taskId)) {
+    logger.error(`Invalid task id "${taskId}"`);
+    return false;
+  }
+
+  const runs = listRuns(taskId);
+  if (runs.length === 0) {
+    logger.error(`No reports for task "${taskId}"`);
+    return false;
+  }
+
+  let index = runs.length - 1;
+  if (runRef != null) {
+    index = /^\d+$/.test(runRef) ? Number(runRef) - 1 : runs.indexOf(runRef);
+    if (index < 0 || index >= runs.length) {
+      logger.error(`No run "${runRef}" for task "${taskId}" (${runs.length} run(s): --run 1..${runs.length} or a run id)`);
+      return false;
+    }
+  }
+
+  const runId = runs[index];
+  const report = readReport(taskId, runId);
+  if (!report) {
+    logger.error(`Report for ${taskId}/${runId} is missing or unreadable`);
+    return false;
+  }
+
+  logger.header(`Report - ${report.taskName || taskId}, run ${index + 1} of ${runs.length}`);
+  console.log(`  Run:       ${runId}`);
+  console.log(`  Status:    ${report.success ? 'OK' : `FAIL${report.errorClass ? ` (${report.errorClass})` : ''}`}`);
+  console.log(`  Model:     ${report.model || '-'}`);
+  console.log(`  Cost:      ${report.costUSD != null ? `$${report.costUSD.toFixed(2)}` : '-'}`);
+  console.log(`  Duration:  ${report.durationMs != null ? `${(report.durationMs / 1000).toFixed(1)}s` : '-'}`);
+  if (report.changes?.patch) {
+    console.log(`  Changes:   ${report.changes.files.length} file(s), +${report.changes.insertions} -${report.changes.deletions} (${runPaths(taskId, runId).patch})`);
+  }
+  if (report.worktree?.branch) {
+    console.log(`  Branch:    ${report.worktree.branch}`);
+  }
+  if (report.verification) {
+    console.log(`  Verify:    ${report.verification.passed ? 'passed' : 'failed'}${report.verification.fixups ? ` after ${report.verification.fixups} fix-up run(s)` : ''}`);
+  }
+
+  if (report.error) {
+    console.log(`\n${logger.COLORS.red}Error:${logger.COLORS.reset}\n${report.error}`);
+  }
+  const text = report.result?.result ?? report.result?.rawOutput ?? (report.success ? null : report.stdout);
+  if (text) {
+    console.log(`\n${logger.COLORS.cyan}Result:${logger.COLORS.reset}\n${typeof text === 'string' ? text : JSON.stringify(text, null, 2)}`);
+  }
+  return true;
+}
+
+// --- Review ---
+
+function reviewRows(records) {
+  return records.map(h => ({
+    run: `${h.taskId}/${h.runId}`,
+    task: h.taskName || h.taskId,
+    result: h.success ? 'OK' : `FAIL${h.errorClass ? ` (${h.errorClass})` : ''}`,
+    files: h.changes?.files ?? '-',
+    lines: h.changes ? `+${h.changes.insertions} -${h.changes.deletions}` : '-',
+    where: h.branch || h.repoRoot || '-',
+  }));
+}
+
+function showRun(record) {
+  console.log(`\n${logger.COLORS.cyan}${record.taskName || record.taskId} — run ${record.runId}${logger.COLORS.reset}`);
+  console.log(`  ${record.success ? 'Succeeded' : `Failed: ${record.error?.slice(0, 200)}`}`);
+  console.log(`  ${record.branch ? `Branch ${record.branch} in ${record.repoRoot}` : `Applied to ${record.repoRoot}`}`);
+  console.log(`  Patch: ${record.patch}\n`);
+  console.log(formatPatch(record));
+}
+
+async function reviewDecision(historyPath, record, decision) {
+  if (decision === 'accept') {
+    acceptRun(historyPath, record);
+    logger.success(`Accepted ${record.taskId}/${record.runId}`);
+    return true;
+  }
+  try {
+    await rejectRun(historyPath, record);
+    logger.success(`Rejected ${record.taskId}/${record.runId}, ${record.branch ? `deleted branch ${record.branch}` : 'changes reverted'}`);
+    return true;
+  } catch (err) {
+    logger.error(`Could not revert ${record.taskId}/${record.runId}: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * `burn review`: list, show, accept or reject runs' patches. Without a
+ * subcommand on a terminal, steps through the pending runs interactively.
+ * Returns false if a requested action failed.
+ */
+async function runReview(tasksPath, [action, ref]) {
+  const historyPath = resolve(dirname(tasksPath), 'history.json');
+
+  if (action === 'show' || action === 'accept' || action === 'reject') {
+    if (!ref) {
+      logger.error(`Usage: burn review ${action} <taskId>/<runId>`);
+      return false;
+    }
+    const { record, error } = findRun(historyPath, ref);
+    if (error) {
+      logger.error(error);
+      return false;
+    }
+    if (action === 'show') {
+      showRun(record);
+      return true;
+    }
+    if (record.review) {
+      logger.warn(`${record.taskId}/${record.runId} was already reviewed (${record.review})`);
+      return false;
+    }
+    return reviewDecision(historyPath, record, action);
+  }
+
+  if (action && action !== 'list') {
+    logger.error(`Unknown review action: ${action}`);
+    return false;
+  }
+
+  const pending = pendingReviews(historyPath);
+  logger.header(`Review - ${pending.length} unreviewed run(s)`);
+  if (pending.length === 0) return true;
+  logger.table(reviewRows(pending));
+
+  if (action === 'list' || !process.stdin.isTTY) return true;
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  let ok = true;
+  try {
+    for (const record of pending) {
+      showRun(record);
+      const answer = (await rl.question('\n[a]ccept, [r]eject and revert, [s]kip, [q]uit? ')).trim().toLowerCase();
+      if (answer === 'q') break;
+      if (answer === 'a') ok = await reviewDecision(historyPath, record, 'accept') && ok;
+      else if (answer === 'r') ok = await reviewDecision(historyPath, record, 'reject') && ok;
+    }
+  } finally {
+    rl.close();
+  }
+  return ok;
+}
+
+// --- Validate ---
+
+/**
+ * Read and parse a JSON file for `burn validate`. Returns { data } or
+ * { problem } (a missing optional file gives { data: null }).
+ */
+function readJsonForValidation(path, { optional = false } = {}) {
+  const file = basename(path);
+  let raw;
+  try {
+    raw = readFileSync(path, 'utf-8');
+    return { data: JSON.parse(raw) };
+  } catch (err) {
+    if (err.code === 'ENOENT' && optional) return { data: null };
+    const message = err instanceof SyntaxError
+      ? `invalid JSON${jsonErrorLocation(raw, err)}: ${err.message}`
+      : err.code === 'ENOENT' ? `not found: ${path}` : err.message;
+    return { problem: { level: 'error', file, path: '', message } };
+  }
+}
+
+/**
+ * Check config.json and tasks.json and print every problem. Returns false if
+ * there are errors.
+ */
+function runValidate(configPath, tasksPath) {
+  const problems = [];
+  const configFile = readJsonForValidation(configPath, { optional: true });
+  if (configFile.problem) problems.push(configFile.problem);
+  else if (configFile.data != null) problems.push(...validateConfig(configFile.data, { file: basename(configPath) }));
+
+  const tasksFile = readJsonForValidation(tasksPath);
+  if (tasksFile.problem) problems.push(tasksFile.problem);
+  else problems.push(...validateTasks(tasksFile.data, { file: basename(tasksPath) }));
+
+  for (const p of problems) {
+    (p.level === 'error' ? logger.error : logger.warn)(formatProblem(p));
+  }
+
+  const errors = problems.filter(p => p.level === 'error').length;
+  const warnings = problems.length - errors;
+  const checked = [configFile.data != null && configPath, tasksPath].filter(Boolean).map(p => basename(p)).join(' and ');
+  if (problems.length === 0) {
+    logger.success(`${checked}: no problems found`);
+  } else {
+    const summary = `${checked}: ${errors} error(s), ${warnings} warning(s)`;
+    if (errors > 0) logger.error(summary);
+    else logger.warn(summary);
+  }
+  return errors === 0;
+}
+
 // --- Main ---
 
 async function main() {
@@ -291,17 +1113,58 @@ async function main() {
 
   logger.setVerbose(args.verbose);
 
+  if (args.command === 'validate') {
+    process.exit(runValidate(args.configPath, args.tasksPath) ? 0 : 1);
+  }
+
   const config = loadConfig(args.configPath);
 
+  if (args.command === 'trends') {
+    showTrends(args.tasksPath, args.week);
+    process.exit(0);
+  }
+
+  if (args.command === 'report') {
+    process.exit(showReport(args.commandArgs[0], args.run) ? 0 : 1);
+  }
+
+  if (args.command === 'review') {
+    const ok = await runReview(args.tasksPath, args.commandArgs);
+    process.exit(ok ? 0 : 1);
+  }
+
+  if (args.simulatePath) {
+    if (!args.status && !args.dryRun) {
+      if (!claimInstance(args.tasksPath, 'simulate')) process.exit(1);
+      recoverStaleTasks(config, args.tasksPath);
+    }
+    await runSimulation(config, args);
+    process.exit(0);
+  }
+
   if (args.status) {
     await showStatus(config, args.tasksPath);
     process.exit(0);
   }
 
+  // Only one instance runs cycles against a tasks file; a dry run changes nothing
+  if (!args.dryRun) {
+    if (!claimInstance(args.tasksPath, args.watch ? 'watch' : 'once')) {
+      process.exit(args.watch ? 1 : 0);
+    }
+    recoverStaleTasks(config, args.tasksPath);
+  }
+
   if (args.watch) {
     await watchLoop(
-      () => runCycle(config, args.tasksPath, args.dryRun),
+      (current) => runCycle(current, args.tasksPath, args.dryRun),
       config,
+      {
+        tasksPath: args.tasksPath,
+        configPath: args.configPath,
+        reloadConfig: () => readConfig(args.configPath),
+        queueState: () => queueState(args.tasksPath),
+      },
     );
   } else {
     // --once (default)
@@ -309,6 +1172,32 @@ async function main() {
   }
 }
 
+/**
+ * Run cycles back-to-back against the simulator, advancing its virtual
+ * clock between them. Task status and history are written as usual, so
+ * point --tasks at a scratch copy.
+ */
+async function runSimulation(config, args) {
+  const sim = loadSimulation(args.simulatePath);
+
+  if (args.status) {
+    await showStatus(config, args.tasksPath, sim);
+    return;
+  }
+
+  const cycles = args.watch ? sim.cycles : 1;
+  logger.header(`Simulation - ${cycles} cycle(s) from ${new Date(sim.now()).toISOString()}`);
+
+  for (let i = 0; i < cycles; i++) {
+    logger.debug(`Cycle ${i + 1}/${cycles} @ ${new Date(sim.now()).toISOString()}`);
+    await runCycle(config, args.tasksPath, args.dryRun, sim);
+    sim.advance();
+  }
+
+  logger.header('Simulation Summary');
+  logger.table([sim.summary()]);
+}
+
 main().catch(err => {
   logger.error(`Fatal: ${err.message}`);
   process.exit(1);
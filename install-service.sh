@@ -44,6 +44,7 @@ After=network.target
 Type=simple
 WorkingDirectory=${SCRIPT_DIR}
 ExecStart=${NODE_BIN} ${SCRIPT_DIR}/bin/burn.js --watch
+ExecReload=/bin/kill -HUP \$MAINPID
 Restart=on-failure
 RestartSec=60
 StandardOutput=journal
@@ -1,15 +1,27 @@
-import { execFileSync } from 'node:child_process';
-import { writeFileSync, readFileSync, mkdirSync, existsSync } from 'node:fs';
+import { spawn } from 'node:child_process';
+import { writeFileSync, readFileSync, mkdirSync, existsSync, readdirSync, statSync, rmSync } from 'node:fs';
 import { resolve, dirname } from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { classifyError } from './retry.js';
+import { createStreamMonitor } from './stream.js';
+import { createWorktree, finishWorktree, snapshot, rollback, changesSince } from './git.js';
+import { verifySpec, runVerification, describeFailure, fixupPrompt } from './verify.js';
+import { runPaths, writeReport } from './reports.js';
 import * as logger from './logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const REPORTS_DIR = resolve(__dirname, '..', 'reports');
 const CONTEXT_DIR = resolve(__dirname, '..', 'context');
 const BASE_SETTINGS = resolve(__dirname, '..', '.claude', 'settings.local.json');
 
 const SHELL = process.platform === 'win32';
+const MAX_BUFFER = 50 * 1024 * 1024;
+// After a stop, how long past the grace period to wait for stdout/stderr to close
+const STDIO_WAIT_MS = 2_000;
+
+/**
+ * What the CLI prints when asked to resume a session it no longer has.
+ */
+const SESSION_MISSING = /no conversation found|session .*not found|invalid session/i;
 
 /**
  * Base permissions every task gets (safe coding operations).
@@ -76,10 +88,17 @@ function setupTaskPermissions(task) {
 
 /**
  * Load context from the last run for a given task.
+ * Context is kept per run as context/<taskId>/<runId>.md; the newest one is
+ * used, falling back to the older single-file context/<taskId>.md.
  * Returns a string to prepend to the prompt, or empty string.
  */
 function loadLastRunContext(taskId) {
-  const contextPath = resolve(CONTEXT_DIR, `${taskId}.md`);
+  let contextPath = resolve(CONTEXT_DIR, `${taskId}.md`);
+  const runDir = resolve(CONTEXT_DIR, taskId);
+  if (existsSync(runDir)) {
+    const runs = readdirSync(runDir).filter(f => f.endsWith('.md')).sort();
+    if (runs.length > 0) contextPath = resolve(runDir, runs[runs.length - 1]);
+  }
   if (!existsSync(contextPath)) return '';
 
   try {
@@ -93,23 +112,71 @@ function loadLastRunContext(taskId) {
 }
 
 /**
- * Save context for the next run of a task.
- * Extracts a summary from the result to keep it concise.
+ * Delete old per-run context files by the report retention settings
+ * (`keepRuns` per task, `maxAgeDays`). Like pruneReports, only runs listed
+ * in `owned` ("<taskId>/<runId>") are considered. The newest file of each
+ * task is always kept, since the next run reads it. Returns the number
+ * removed.
  */
-function saveRunContext(taskId, result, success, error) {
+export function pruneRunContext(retention = {}, { owned, now = Date.now() } = {}) {
+  const { keepRuns, maxAgeDays } = retention;
+  if (keepRuns == null && maxAgeDays == null) return 0;
+
+  let removed = 0;
+  let taskDirs;
   try {
-    mkdirSync(CONTEXT_DIR, { recursive: true });
-    const contextPath = resolve(CONTEXT_DIR, `${taskId}.md`);
+    taskDirs = readdirSync(CONTEXT_DIR, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+  } catch {
+    return 0;
+  }
+  for (const taskId of taskDirs) {
+    const runDir = resolve(CONTEXT_DIR, taskId);
+    const all = readdirSync(runDir).filter(f => f.endsWith('.md')).sort();
+    const files = all.filter(f => owned.has(`${taskId}/${f.slice(0, -3)}`));
+    files.forEach((file, i) => {
+      if (file === all[all.length - 1]) return;
+      const path = resolve(runDir, file);
+      const newerRuns = files.length - 1 - i;
+      const tooOld = maxAgeDays != null && now - statSync(path).mtimeMs > maxAgeDays * 86_400_000;
+      if ((keepRuns != null && newerRuns >= keepRuns) || tooOld) {
+        rmSync(path, { force: true });
+        removed++;
+      }
+    });
+  }
+  if (removed > 0) logger.debug(`Pruned ${removed} old run context file(s)`);
+  return removed;
+}
+
+/**
+ * Save context for the next run of a task to context/<taskId>/<runId>.md.
+ * Extracts a summary from the result to keep it concise. For a run that was
+ * killed on timeout, the tail of its partial output is included so the next
+ * run can pick up where it stopped; `details` (e.g. a failed verify command's
+ * output) is appended as-is.
+ */
+function saveRunContext(taskId, runId, result, success, error, { partialOutput, details, sessionId } = {}) {
+  try {
+    const runDir = resolve(CONTEXT_DIR, taskId);
+    mkdirSync(runDir, { recursive: true });
+    const contextPath = resolve(runDir, `${runId}.md`);
 
     let summary = '';
     const ts = new Date().toISOString();
+    const session = sessionId ? `\n**Session:** ${sessionId}` : '';
 
     if (success) {
       const text = result?.result ?? result?.rawOutput ?? '';
       const truncated = typeof text === 'string' ? text.slice(0, 4000) : JSON.stringify(text).slice(0, 4000);
-      summary = `**Last run:** ${ts} — ✅ SUCCESS\n\n${truncated}`;
+      summary = `**Last run:** ${ts} — ✅ SUCCESS${session}\n\n${truncated}`;
     } else {
-      summary = `**Last run:** ${ts} — ❌ FAILED\n**Error:** ${(error || 'unknown').slice(0, 1000)}`;
+      summary = `**Last run:** ${ts} — ❌ FAILED${session}\n**Error:** ${(error || 'unknown').slice(0, 1000)}`;
+      if (details) {
+        summary += `\n\n${details.slice(0, 3000)}`;
+      }
+      if (partialOutput) {
+        summary += `\n\nThe run was stopped before it finished. Output produced so far (last part):\n\n\`\`\`\n${partialOutput.slice(-3000)}\n\`\`\``;
+      }
     }
 
     writeFileSync(contextPath, summary, 'utf-8');
@@ -120,18 +187,256 @@ function saveRunContext(taskId, result, success, error) {
 }
 
 /**
- * Execute a task via `claude -p`.
- * Returns { success, result, costUSD, durationMs, error }.
+ * Session id reported by a failed run, if its output got that far.
  */
-export function executeTask(task, config) {
-  // Setup task-specific permissions (merged with base)
-  const cleanupPermissions = setupTaskPermissions(task);
+function failedSessionId(stdout) {
+  try {
+    return JSON.parse(stdout)?.session_id ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What a failed run's error is classified by: the spawn error, stderr and the
+ * error fields of the CLI's result event (its `result` text only when
+ * `is_error` is set, since otherwise it is the task's own output).
+ */
+function cliErrorText(proc, monitor) {
+  let result = monitor ? monitor.result() : null;
+  if (!monitor) {
+    try {
+      result = JSON.parse(proc.stdout);
+    } catch { /* not JSON output */ }
+  }
+  const fields = result?.is_error ? [result.subtype, result.error, result.result] : [result?.subtype];
+  return [proc.spawnError?.message, proc.stderr, ...fields].filter(v => typeof v === 'string' && v).join('\n');
+}
+
+/**
+ * Diff the run's changes against the pre-run snapshot and save them as
+ * reports/<taskId>/<runId>.patch. Returns the report's `changes` section
+ * (file summary and patch path, null when nothing changed), or null
+ * outside a git working copy.
+ */
+async function saveChanges(taskId, runId, snap) {
+  if (!snap) return null;
+  try {
+    const { patch, ...changes } = await changesSince(snap);
+    if (patch.length === 0) return { ...changes, patch: null };
+
+    const patchPath = runPaths(taskId, runId).patch;
+    mkdirSync(dirname(patchPath), { recursive: true });
+    writeFileSync(patchPath, patch);
+    logger.info(`[${taskId}] ${changes.files.length} file(s) changed (+${changes.insertions} -${changes.deletions}), patch saved to ${patchPath}`);
+    return { ...changes, patch: patchPath };
+  } catch (err) {
+    logger.warn(`Failed to save patch: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Commit message for a worktree run's changes: task name as the subject,
+ * outcome and the start of the result (or error) as the body.
+ */
+function commitMessage(task, runId, success, text) {
+  const summary = typeof text === 'string' ? text : JSON.stringify(text ?? '');
+  return [
+    `burn(${task.id}): ${task.name || task.id}${success ? '' : ' (failed run)'}`,
+    '',
+    `Run ${runId} ${success ? 'completed' : 'failed'}.`,
+    '',
+    summary.trim().slice(0, 1500),
+  ].join('\n').trim() + '\n';
+}
+
+// Time of the last run id handed out, so ids stay unique within a process
+let lastRunIdMs = 0;
+
+/**
+ * Run id for a run starting at `date`: a compact, sortable UTC timestamp
+ * with milliseconds. A run starting in the same millisecond as the previous
+ * one gets the next millisecond.
+ */
+export function makeRunId(date = new Date()) {
+  lastRunIdMs = Math.max(date.getTime(), lastRunIdMs + 1);
+  return new Date(lastRunIdMs).toISOString().replace(/[-:.]/g, '');
+}
+
+/**
+ * Token usage from the `claude -p` JSON result, or null if not reported.
+ */
+function extractTokens(result) {
+  const u = result?.usage;
+  if (!u || typeof u !== 'object') return null;
+  return {
+    input: u.input_tokens ?? 0,
+    output: u.output_tokens ?? 0,
+    cacheRead: u.cache_read_input_tokens ?? 0,
+    cacheWrite: u.cache_creation_input_tokens ?? 0,
+  };
+}
+
+// Process groups of running claude processes. They don't share burn's group,
+// so they are stopped when a signal stops burn (e.g. Ctrl+C) or burn exits.
+const childGroups = new Set();
+
+function trackGroup(pid) {
+  if (childGroups.size === 0) {
+    for (const signal of ['SIGINT', 'SIGTERM']) process.on(signal, stopOnSignal);
+    process.on('exit', stopGroups);
+  }
+  childGroups.add(pid);
+}
+
+function untrackGroup(pid) {
+  if (!childGroups.delete(pid) || childGroups.size > 0) return;
+  for (const signal of ['SIGINT', 'SIGTERM']) process.off(signal, stopOnSignal);
+  process.off('exit', stopGroups);
+}
+
+function stopOnSignal(signal) {
+  stopGroups();
+  // Nobody else handles it: die of it as burn would have without us
+  if (process.listenerCount(signal) === 1) {
+    process.off(signal, stopOnSignal);
+    process.kill(process.pid, signal);
+  }
+}
+
+function stopGroups() {
+  for (const pid of childGroups) {
+    try { process.kill(-pid, 'SIGTERM'); } catch { /* already gone */ }
+  }
+}
+
+/**
+ * Spawn `claude` and collect its output without blocking the event loop.
+ * Stdout lines are passed to onStdoutLine(line, control) as they arrive;
+ * control.abort(reason) stops the process the same way a timeout does.
+ *
+ * claude runs in its own process group, so a stop reaches the tools it
+ * started too. Once stopped, the run ends within the grace period plus
+ * STDIO_WAIT_MS even if some leftover process keeps its output open.
+ *
+ * Resolves with { code, stdout, stderr, timedOut, aborted, killSignal,
+ * spawnError }; never rejects.
+ */
+function runClaude(bin, args, { cwd, timeoutMs, graceMs, maxBuffer, onStdoutLine }) {
+  return new Promise((resolvePromise) => {
+    let stdout = '';
+    let stderr = '';
+    let lineBuffer = '';
+    let timedOut = false;
+    let aborted = null;
+    let killSignal = null;
+    let spawnError = null;
+    let exitCode = null;
+    let killTimer = null;
+    let stdioTimer = null;
+    let settled = false;
+
+    const group = process.platform !== 'win32';
+    const child = spawn(bin, args, {
+      cwd,
+      shell: SHELL,
+      detached: group,
+      windowsHide: true,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+    if (group && child.pid) trackGroup(child.pid);
+
+    const kill = (signal) => {
+      try {
+        if (group) process.kill(-child.pid, signal);
+        else child.kill(signal);
+        return true;
+      } catch {
+        // Already gone
+        return false;
+      }
+    };
+
+    // Graceful stop: SIGTERM first, SIGKILL if anything in the group is still
+    // alive after the grace period
+    const stop = () => {
+      if (killSignal) return;
+      killSignal = 'SIGTERM';
+      kill('SIGTERM');
+      killTimer = setTimeout(() => {
+        if (group ? kill(0) : child.exitCode === null && child.signalCode === null) {
+          killSignal = 'SIGKILL';
+          kill('SIGKILL');
+        }
+      }, graceMs);
+      stdioTimer = setTimeout(finish, graceMs + STDIO_WAIT_MS);
+    };
+
+    const control = {
+      abort: (reason) => {
+        aborted = reason;
+        stop();
+      },
+    };
+
+    child.stdout.setEncoding('utf-8');
+    child.stderr.setEncoding('utf-8');
+    child.stdout.on('data', chunk => {
+      if (stdout.length < maxBuffer) stdout += chunk;
+      if (onStdoutLine) {
+        lineBuffer += chunk;
+        const lines = lineBuffer.split('\n');
+        lineBuffer = lines.pop();
+        for (const line of lines) onStdoutLine(line, control);
+      }
+    });
+    child.stderr.on('data', chunk => {
+      if (stderr.length < maxBuffer) stderr += chunk;
+    });
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      stop();
+    }, timeoutMs);
+
+    function finish(code = exitCode) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      clearTimeout(stdioTimer);
+      untrackGroup(child.pid);
+      child.stdout.destroy();
+      child.stderr.destroy();
+      if (onStdoutLine && lineBuffer) onStdoutLine(lineBuffer, control);
+      resolvePromise({ code, stdout, stderr, timedOut, aborted, killSignal, spawnError });
+    }
+
+    child.on('error', err => {
+      spawnError = err;
+    });
 
-  // Build prompt with optional context from last run
-  const lastContext = loadLastRunContext(task.id);
-  const fullPrompt = lastContext + task.prompt;
+    child.on('exit', code => {
+      exitCode = code;
+    });
 
-  const args = ['-p', fullPrompt, '--output-format', 'json'];
+    child.on('close', code => finish(code ?? exitCode));
+  });
+}
+
+/**
+ * Command-line arguments for one `claude -p` invocation of a task.
+ */
+function claudeArgs(task, config, { prompt, model, resumeId, stream }) {
+  const args = stream
+    ? ['-p', prompt, '--output-format', 'stream-json', '--verbose']
+    : ['-p', prompt, '--output-format', 'json'];
+
+  if (resumeId) {
+    args.push('--resume', resumeId);
+    logger.info(`[${task.id}] Resuming session ${resumeId}`);
+  }
 
   // YOLO mode: skip all permission prompts (doesn't work as root)
   const yolo = task.yolo ?? config.execution?.yolo ?? false;
@@ -140,7 +445,6 @@ export function executeTask(task, config) {
     logger.info('YOLO mode enabled — skipping permission prompts');
   }
 
-  const model = task.model || config.execution?.model;
   if (model) {
     args.push('--model', model);
   }
@@ -154,73 +458,304 @@ export function executeTask(task, config) {
     args.push('--max-budget-usd', String(task.maxBudgetUSD));
   }
 
-  logger.info(`Executing: claude ${args.slice(0, 4).join(' ')}...`);
-  logger.debug(`Full args: claude ${args.join(' ')}`);
-
-  const startTime = Date.now();
+  return args;
+}
 
+/**
+ * Parse `claude -p --output-format json` output; unparseable output is kept
+ * as rawOutput.
+ */
+function parseResult(raw) {
   try {
-    const execOpts = {
-      encoding: 'utf-8',
-      timeout: 30 * 60_000,
-      windowsHide: true,
-      maxBuffer: 50 * 1024 * 1024,
-      shell: SHELL,
-    };
-    if (task.projectDir) {
-      execOpts.cwd = task.projectDir;
-    }
-    const raw = execFileSync('claude', args, execOpts);
+    return JSON.parse(raw);
+  } catch {
+    return { rawOutput: raw.slice(0, 5000) };
+  }
+}
 
-    const durationMs = Date.now() - startTime;
-    let result;
+/**
+ * Sum of two token usages (either may be null).
+ */
+function addTokens(a, b) {
+  if (!a || !b) return a ?? b;
+  return {
+    input: a.input + b.input,
+    output: a.output + b.output,
+    cacheRead: a.cacheRead + b.cacheRead,
+    cacheWrite: a.cacheWrite + b.cacheWrite,
+  };
+}
 
-    try {
-      result = JSON.parse(raw);
-    } catch {
-      result = { rawOutput: raw.slice(0, 5000) };
-    }
+function sumNullable(a, b) {
+  return a == null && b == null ? null : (a ?? 0) + (b ?? 0);
+}
 
-    const costUSD = result.cost_usd ?? result.costUSD ?? result.usage?.cost ?? null;
+/**
+ * Cost reported in a `claude -p` JSON result, or null.
+ */
+function extractCost(result) {
+  return result?.total_cost_usd ?? result?.cost_usd ?? result?.costUSD ?? result?.usage?.cost ?? null;
+}
 
-    // Save stdout to reports/<taskId>.json
+/**
+ * Execute a task via `claude -p`.
+ * `options.model` is the model chosen by routing; it overrides the task's own.
+ * `options.runId` names this run's context file (default: from the start time).
+ * With `continuation: "resume"` and a stored task.sessionId, the previous
+ * session is resumed instead of prepending text context; if the CLI no longer
+ * has that session the run is retried with text context.
+ * With `isolation: "worktree"` the run happens in a fresh git worktree whose
+ * changes are committed to a `burn/<taskId>/<runId>` branch (see git.js).
+ * `task.verify` commands run afterwards and can fail the run (see verify.js).
+ * Resolves with { success, result, costUSD, durationMs, error, errorClass,
+ * model, tokens, runId, sessionId, resumed, worktree, changes }; `changes`
+ * summarizes the files the run changed in a git working copy, whose full
+ * diff is saved as reports/<taskId>/<runId>.patch. The report of every run
+ * is kept in reports/<taskId>/<runId>/report.json (see reports.js).
+ * errorClass classifies failures for the retry policy (see retry.js).
+ */
+export async function executeTask(task, config, options = {}) {
+  const runId = options.runId || makeRunId();
+  const model = options.model || task.models?.[0] || task.model || config.execution?.model || null;
+
+  // Worktree isolation: run in a fresh checkout on its own branch
+  const isolation = task.isolation ?? config.execution?.isolation ?? 'none';
+  let wt = options.worktree ?? null;
+  if (isolation === 'worktree' && !wt) {
     try {
-      mkdirSync(REPORTS_DIR, { recursive: true });
-      const reportPath = resolve(REPORTS_DIR, `${task.id}.json`);
-      writeFileSync(reportPath, JSON.stringify(result, null, 2), 'utf-8');
-      logger.info(`Report saved to ${reportPath}`);
-    } catch (e) {
-      logger.warn(`Failed to save report: ${e.message}`);
+      wt = await createWorktree(task.projectDir || process.cwd(), task.id, runId);
+    } catch (err) {
+      const error = `Worktree isolation failed: ${err.message}`.slice(0, 1000);
+      logger.error(`[${task.id}] ${error}`);
+      return { success: false, result: null, costUSD: null, durationMs: 0, error, errorClass: 'isolation', model, tokens: null, runId, sessionId: null, resumed: false };
     }
+  }
+  const cwd = wt ? wt.cwd : task.projectDir || undefined;
+
+  // Setup task-specific permissions (merged with base)
+  const cleanupPermissions = setupTaskPermissions({ ...task, projectDir: cwd });
+
+  // Resume the previous session, or build the prompt with text context from the last run
+  const continuation = task.continuation ?? config.execution?.continuation ?? 'context';
+  let resumeId = continuation === 'resume' && options.resume !== false ? task.sessionId : null;
+  if (resumeId && wt) {
+    // The CLI stores sessions per directory, and every isolated run gets a new worktree
+    logger.warn(`[${task.id}] continuation "resume" does not work with worktree isolation, using text context`);
+    resumeId = null;
+  }
+  const fullPrompt = resumeId
+    ? `This is a new run of the same task. Continue where you left off.\n\n${task.prompt}`
+    : loadLastRunContext(task.id) + task.prompt;
+
+  // Streaming mode reports progress as it happens and allows mid-run aborts
+  const stream = task.stream ?? config.execution?.stream ?? false;
+  const args = claudeArgs(task, config, { prompt: fullPrompt, model, resumeId, stream });
+
+  logger.info(`[${task.id}] Executing: claude ${args.slice(0, 4).join(' ')}...`);
+  logger.debug(`Full args: claude ${args.join(' ')}`);
 
-    saveRunContext(task.id, result, true, null);
+  const startTime = Date.now();
+  const timeoutMinutes = task.timeoutMinutes ?? config.execution?.timeoutMinutes ?? 30;
+  const timeoutMs = timeoutMinutes * 60_000;
+  const graceMs = (config.execution?.killGraceSeconds ?? 10) * 1000;
+
+  // BURN_CLAUDE_BIN / execution.claudeBin point at an alternative binary
+  const bin = process.env.BURN_CLAUDE_BIN || config.execution?.claudeBin || 'claude';
+
+  // The working copy's state before the run, to save its changes as a patch
+  // and to roll them back after a failed verification. Skipped when neither
+  // is wanted, since it hashes every changed file under the task's directory.
+  const verify = verifySpec(task);
+  const savePatches = task.savePatches ?? config.execution?.savePatches ?? true;
+  const snap = savePatches || verify?.rollback ? await snapshot(wt ? wt.cwd : cwd || process.cwd()) : null;
+
+  const monitor = stream ? createStreamMonitor(task, { model, config }) : null;
+
+  const proc = await runClaude(bin, args, {
+    cwd,
+    timeoutMs,
+    graceMs,
+    maxBuffer: MAX_BUFFER,
+    onStdoutLine: monitor?.onLine,
+  });
+
+  // The stored session is gone (expired or from another machine): fall back to text context
+  if (resumeId && proc.code !== 0 && !proc.timedOut && !proc.aborted && SESSION_MISSING.test(`${proc.stderr}\n${proc.stdout}`)) {
     cleanupPermissions();
-    logger.success(`Task completed in ${(durationMs / 1000).toFixed(1)}s`);
+    logger.warn(`[${task.id}] Session ${resumeId} no longer exists, falling back to text context`);
+    return executeTask(task, config, { ...options, runId, resume: false, worktree: wt });
+  }
 
-    return { success: true, result, costUSD, durationMs, error: null };
-  } catch (err) {
-    const durationMs = Date.now() - startTime;
-    const stderr = err.stderr?.toString() || '';
-    const stdout = err.stdout?.toString() || '';
-    const message = stderr || err.message;
+  // Record a failed run: commit (or discard) worktree changes, write the
+  // error report and run context, and build the result
+  const fail = async ({ message, errorClass, stdout = '', partialOutput = null, details = null, sessionId = null, costUSD = null, tokens = null, report: extra = {}, undo = false }) => {
+    const changes = savePatches ? await saveChanges(task.id, runId, snap) : null;
 
-    try {
-      mkdirSync(REPORTS_DIR, { recursive: true });
-      const reportPath = resolve(REPORTS_DIR, `${task.id}-error.json`);
-      writeFileSync(reportPath, JSON.stringify({ error: message.slice(0, 5000), stdout: stdout.slice(0, 5000) }, null, 2), 'utf-8');
-      logger.info(`Error report saved to ${reportPath}`);
-    } catch (e) { /* ignore */ }
+    // Keep whatever a failed run changed on its branch for inspection, unless it is undone
+    const worktree = wt ? await finishWorktree(wt, commitMessage(task, runId, false, message), { discard: undo }) : null;
+    const rolledBack = undo && (wt ? true : await rollback(snap));
 
-    saveRunContext(task.id, { rawOutput: stdout }, false, message);
+    const durationMs = Date.now() - startTime;
+    const report = {
+      taskId: task.id,
+      taskName: task.name,
+      runId,
+      success: false,
+      model,
+      costUSD,
+      durationMs,
+      tokens,
+      sessionId,
+      errorClass,
+      error: message.slice(0, 5000),
+      stdout: stdout.slice(0, 5000),
+      ...extra,
+    };
+    if (changes) {
+      report.changes = changes;
+    }
+    if (worktree) {
+      report.worktree = worktree;
+    }
+    if (undo) {
+      report.rolledBack = rolledBack;
+    }
+    writeReport(task.id, runId, report);
+
+    saveRunContext(task.id, runId, { rawOutput: stdout }, false, message, { partialOutput, details, sessionId });
     cleanupPermissions();
-    logger.error(`Task failed after ${(durationMs / 1000).toFixed(1)}s: ${message.slice(0, 200)}`);
+    logger.error(`[${task.id}] Task failed after ${(durationMs / 1000).toFixed(1)}s: ${message.slice(0, 200)}`);
 
     return {
       success: false,
       result: stdout ? { rawOutput: stdout.slice(0, 5000) } : null,
-      costUSD: null,
+      costUSD,
       durationMs,
       error: message.slice(0, 1000),
+      errorClass,
+      model,
+      tokens,
+      runId,
+      sessionId,
+      resumed: !!resumeId,
+      worktree,
+      changes,
+      rolledBack,
     };
+  };
+
+  if (proc.code === 0 && !proc.timedOut && !proc.aborted && !proc.spawnError) {
+    const result = monitor
+      ? monitor.result() ?? { rawOutput: monitor.transcript().slice(0, 5000) }
+      : parseResult(proc.stdout);
+
+    let costUSD = extractCost(result);
+    let tokens = extractTokens(result);
+    let sessionId = result.session_id ?? monitor?.stats().sessionId ?? null;
+
+    // Verify commands decide whether the run really succeeded; a fix-up run
+    // gets the failing output and continues the same session
+    let verification = null;
+    let fixups = 0;
+    if (verify) {
+      const verifyDir = cwd || process.cwd();
+      verification = await runVerification(verify, verifyDir, { taskId: task.id, graceMs });
+      while (!verification.passed && verify.onFailure === 'fixup' && fixups < verify.maxFixups) {
+        fixups++;
+        logger.info(`[${task.id}] Fix-up run ${fixups}/${verify.maxFixups}`);
+        const fixArgs = claudeArgs(task, config, { prompt: fixupPrompt(task, verification), model, resumeId: sessionId, stream: false });
+        const fix = await runClaude(bin, fixArgs, { cwd, timeoutMs, graceMs, maxBuffer: MAX_BUFFER });
+        const fixResult = parseResult(fix.stdout);
+        costUSD = sumNullable(costUSD, extractCost(fixResult));
+        tokens = addTokens(tokens, extractTokens(fixResult));
+        sessionId = fixResult.session_id ?? sessionId;
+        if (fix.code !== 0 || fix.timedOut || fix.spawnError) {
+          logger.warn(`[${task.id}] Fix-up run failed: ${(fix.stderr || `exit code ${fix.code}`).slice(0, 200)}`);
+          break;
+        }
+        verification = await runVerification(verify, verifyDir, { taskId: task.id, graceMs });
+      }
+    }
+
+    if (verification && !verification.passed) {
+      const failed = verification.results[verification.results.length - 1];
+      const message = `Verification failed: \`${failed.command}\` ${failed.timedOut ? 'timed out' : `exited with code ${failed.exitCode}`}${fixups ? ` (after ${fixups} fix-up run${fixups === 1 ? '' : 's'})` : ''}`;
+      const text = result.result ?? result.rawOutput ?? '';
+      return fail({
+        message,
+        errorClass: 'verify',
+        stdout: typeof text === 'string' ? text : JSON.stringify(text),
+        details: describeFailure(verification),
+        sessionId,
+        costUSD,
+        tokens,
+        report: { verification: { ...verification, fixups } },
+        undo: verify.rollback,
+      });
+    }
+
+    const changes = savePatches ? await saveChanges(task.id, runId, snap) : null;
+    const worktree = wt ? await finishWorktree(wt, commitMessage(task, runId, true, result.result)) : null;
+
+    // Save the run's outcome to reports/<taskId>/<runId>/report.json
+    const durationMs = Date.now() - startTime;
+    const report = { taskId: task.id, taskName: task.name, runId, success: true, model, costUSD, durationMs, tokens, sessionId, result };
+    if (changes) {
+      report.changes = changes;
+    }
+    if (worktree) {
+      report.worktree = worktree;
+    }
+    if (verification) {
+      report.verification = { ...verification, fixups };
+    }
+    writeReport(task.id, runId, report);
+
+    saveRunContext(task.id, runId, result, true, null, { sessionId });
+    cleanupPermissions();
+    logger.success(`[${task.id}] Task completed in ${(durationMs / 1000).toFixed(1)}s`);
+
+    return { success: true, result, costUSD, durationMs, error: null, errorClass: null, model, tokens, runId, sessionId, resumed: !!resumeId, worktree, changes };
   }
+
+  // In streaming mode stdout is JSON events; the transcript is the readable output
+  const stdout = monitor ? monitor.transcript() : proc.stdout;
+  let message;
+  if (proc.spawnError) {
+    message = `Failed to start ${bin}: ${proc.spawnError.message}`;
+  } else if (proc.aborted) {
+    message = `Aborted: ${proc.aborted} (stopped with ${proc.killSignal})`;
+  } else if (proc.timedOut) {
+    message = `Timed out after ${timeoutMinutes} minutes (stopped with ${proc.killSignal})${proc.stderr ? `: ${proc.stderr}` : ''}`;
+  } else {
+    message = proc.stderr || monitor?.result()?.result || `claude exited with code ${proc.code}`;
+  }
+
+  // A stopped run's most recent output is the useful part; keep the tail
+  const stopped = proc.timedOut || proc.aborted;
+  const partialOutput = stopped ? [stdout, proc.stderr].filter(Boolean).join('\n').slice(-5000) : null;
+
+  const report = {};
+  if (proc.timedOut) {
+    Object.assign(report, { timedOut: true, timeoutMinutes });
+  }
+  if (proc.aborted) {
+    Object.assign(report, { aborted: proc.aborted });
+  }
+  if (stopped) {
+    Object.assign(report, { killSignal: proc.killSignal, partialOutput });
+  }
+  if (monitor) {
+    report.progress = monitor.stats();
+  }
+
+  return fail({
+    message,
+    errorClass: proc.aborted ? 'limit' : proc.timedOut ? 'timeout' : classifyError(cliErrorText(proc, monitor)),
+    stdout,
+    partialOutput,
+    sessionId: monitor ? monitor.stats().sessionId : failedSessionId(proc.stdout),
+    tokens: monitor ? monitor.stats().tokens : null,
+    report,
+  });
 }
@@ -11,21 +11,35 @@
  *   node get-rate-limits.mjs --json   # JSON output for programmatic use
  *   node get-rate-limits.mjs --debug  # show raw headers
  *
+ * Set BURN_API_BASE_URL to probe a different endpoint (e.g. a local stand-in).
+ *
  * Each call costs ~9 tokens from your quota (a 1-token Sonnet completion).
  * Negligible, but don't run it in a tight loop.
  */
 
-import { readFileSync } from "fs";
+import { readFileSync, writeFileSync, renameSync } from "fs";
 import { homedir } from "os";
 import { join } from "path";
 import { fileURLToPath } from "url";
+import http from "http";
 import https from "https";
 
-const CREDENTIALS_PATH = join(homedir(), ".claude", ".credentials.json");
-const API_HOST = "api.anthropic.com";
+// Claude Code honours CLAUDE_CONFIG_DIR for its config directory
+const CREDENTIALS_PATH = join(
+  process.env.CLAUDE_CONFIG_DIR || join(homedir(), ".claude"),
+  ".credentials.json"
+);
+const DEFAULT_BASE_URL = "https://api.anthropic.com";
 const API_PATH = "/v1/messages";
 // See https://docs.anthropic.com/en/api/versioning for the latest version
 const ANTHROPIC_VERSION = "2023-06-01";
+// OAuth token endpoint and public client ID used by Claude Code
+export const DEFAULT_TOKEN_URL = "https://console.anthropic.com/v1/oauth/token";
+export const DEFAULT_CLIENT_ID = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
+// Give up on a request (probe or token refresh) that takes longer than this
+const REQUEST_TIMEOUT_MS = 30_000;
+// Token endpoint errors meaning the refresh token itself is no longer valid
+const RELOGIN_ERRORS = ["invalid_grant", "invalid_client", "unauthorized_client"];
 
 export function loadCredentials() {
   const raw = readFileSync(CREDENTIALS_PATH, "utf-8");
@@ -34,54 +48,142 @@ export function loadCredentials() {
   if (!oauth?.accessToken) {
     throw new Error("No OAuth access token found in credentials");
   }
-  if (oauth.expiresAt && Date.now() > oauth.expiresAt) {
-    console.error(
-      "WARNING: OAuth token may be expired. Run `claude` to refresh it."
-    );
-  }
   return oauth;
 }
 
-export function makeMinimalRequest(accessToken) {
+/**
+ * True if the access token has expired, or will within `skewMs`.
+ */
+export function isTokenExpired(oauth, skewMs = 60_000) {
+  return Boolean(oauth.expiresAt) && Date.now() + skewMs > oauth.expiresAt;
+}
+
+/**
+ * Exchange the stored refresh token for a new access token and write the
+ * updated credentials back atomically (temp file + rename). Other keys in
+ * the credentials file are preserved.
+ *
+ * If another process (e.g. `claude` itself) has already refreshed the token
+ * on disk, that token is used instead. Throws if the refresh fails; the
+ * error has `needsRelogin` set when the stored refresh token is missing or
+ * was rejected (400/401 with e.g. "invalid_grant"), and not for transient
+ * failures (network errors, timeouts, 5xx).
+ */
+export async function refreshCredentials(oauth, { tokenUrl, clientId } = {}) {
+  const onDisk = loadCredentials();
+  if (onDisk.accessToken !== oauth.accessToken && !isTokenExpired(onDisk)) {
+    return onDisk;
+  }
+
+  if (!oauth.refreshToken) {
+    throw Object.assign(new Error("No refresh token stored in credentials"), { needsRelogin: true });
+  }
+
+  const response = await postJson(tokenUrl || DEFAULT_TOKEN_URL, {
+    grant_type: "refresh_token",
+    refresh_token: oauth.refreshToken,
+    client_id: clientId || DEFAULT_CLIENT_ID,
+  });
+
+  let data = null;
+  try {
+    data = JSON.parse(response.body);
+  } catch {
+    // handled below
+  }
+  if (response.statusCode !== 200 || !data?.access_token) {
+    const detail = data?.error_description || data?.error || response.body.slice(0, 200);
+    const rejected = response.statusCode === 401
+      || (response.statusCode === 400 && RELOGIN_ERRORS.includes(data?.error));
+    throw Object.assign(new Error(`Token refresh failed (${response.statusCode}): ${detail}`), { needsRelogin: rejected });
+  }
+
+  const updated = {
+    ...oauth,
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || oauth.refreshToken,
+    expiresAt: data.expires_in ? Date.now() + data.expires_in * 1000 : oauth.expiresAt,
+  };
+  saveCredentials(updated);
+  return updated;
+}
+
+function saveCredentials(oauth) {
+  const creds = JSON.parse(readFileSync(CREDENTIALS_PATH, "utf-8"));
+  creds.claudeAiOauth = oauth;
+  const tmpPath = `${CREDENTIALS_PATH}.tmp-${process.pid}`;
+  writeFileSync(tmpPath, JSON.stringify(creds, null, 2), { encoding: "utf-8", mode: 0o600 });
+  renameSync(tmpPath, CREDENTIALS_PATH);
+}
+
+/**
+ * POST a JSON body. Resolves with { statusCode, headers, body }; rejects on a
+ * network error or when no full response arrives within `timeoutMs`.
+ */
+function postJson(url, payload, headers = {}, { timeoutMs = REQUEST_TIMEOUT_MS } = {}) {
   return new Promise((resolve, reject) => {
-    const body = JSON.stringify({
-      model: "claude-sonnet-4-5-20250929",
-      max_tokens: 1,
-      messages: [{ role: "user", content: "." }],
-    });
-
-    const options = {
-      hostname: API_HOST,
-      port: 443,
-      path: API_PATH,
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "anthropic-version": ANTHROPIC_VERSION,
-        "anthropic-beta": "oauth-2025-04-20",
-        Authorization: `Bearer ${accessToken}`,
-        "Content-Length": Buffer.byteLength(body),
+    const target = new URL(url);
+    const client = target.protocol === "http:" ? http : https;
+    const body = JSON.stringify(payload);
+
+    const req = client.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          ...headers,
+        },
       },
-    };
-
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        resolve({
-          statusCode: res.statusCode,
-          headers: res.headers,
-          body: data,
+      (res) => {
+        let data = "";
+        res.on("data", (chunk) => (data += chunk));
+        res.on("error", fail);
+        res.on("end", () => {
+          clearTimeout(timer);
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
         });
-      });
-    });
+      }
+    );
 
-    req.on("error", reject);
+    const timer = setTimeout(() => {
+      req.destroy(new Error(`Request to ${target.host} timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+    function fail(err) {
+      clearTimeout(timer);
+      reject(err);
+    }
+    req.on("error", fail);
     req.write(body);
     req.end();
   });
 }
 
+/**
+ * Resolve the API base URL: explicit argument, then BURN_API_BASE_URL, then
+ * the public Anthropic API. Plain http (e.g. http://localhost:8080) is allowed.
+ */
+export function resolveBaseUrl(baseUrl) {
+  return (baseUrl || process.env.BURN_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, "");
+}
+
+export function makeMinimalRequest(accessToken, { baseUrl } = {}) {
+  return postJson(
+    resolveBaseUrl(baseUrl) + API_PATH,
+    {
+      model: "claude-sonnet-4-5-20250929",
+      max_tokens: 1,
+      messages: [{ role: "user", content: "." }],
+    },
+    {
+      "anthropic-version": ANTHROPIC_VERSION,
+      "anthropic-beta": "oauth-2025-04-20",
+      Authorization: `Bearer ${accessToken}`,
+    }
+  );
+}
+
 export function parseRateLimits(headers) {
   const PREFIX = "anthropic-ratelimit-unified-";
   const raw = {};
@@ -201,7 +303,13 @@ async function main() {
   const debugMode = args.includes("--debug");
 
   try {
-    const creds = loadCredentials();
+    let creds = loadCredentials();
+    if (isTokenExpired(creds)) {
+      console.error("OAuth token expired, refreshing...");
+      creds = await refreshCredentials(creds, {
+        tokenUrl: process.env.BURN_OAUTH_TOKEN_URL,
+      });
+    }
     const response = await makeMinimalRequest(creds.accessToken);
 
     if (debugMode) {
@@ -0,0 +1,264 @@
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { copyFileSync, existsSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { resolve, relative } from 'node:path';
+import * as logger from './logger.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Local settings the executor writes into a task's directory. They are
+ * per-run permissions, never part of the task's work.
+ */
+const EXCLUDE_SETTINGS = ':(exclude,glob)**/.claude/settings.local.json';
+
+/**
+ * Run git in `cwd` and return its trimmed stdout. Rejects on failure.
+ * `options.env` adds environment variables; `options.raw` returns the
+ * untouched output as a Buffer.
+ */
+export async function git(cwd, args, { env, raw = false } = {}) {
+  try {
+    const { stdout } = await execFileAsync('git', args, {
+      cwd,
+      env: env ? { ...process.env, ...env } : undefined,
+      encoding: raw ? 'buffer' : 'utf-8',
+      maxBuffer: 100 * 1024 * 1024,
+    });
+    return raw ? stdout : stdout.trim();
+  } catch (err) {
+    throw new Error(`git ${args[0]} failed: ${err.stderr?.trim() || err.message}`);
+  }
+}
+
+/**
+ * Create a fresh worktree of the repository containing `projectDir` on a new
+ * branch `burn/<taskId>/<runId>`, based on the current HEAD.
+ *
+ * Returns { root, path, cwd, branch, base } where `cwd` is the worktree
+ * counterpart of projectDir (which may be a subdirectory of the repo).
+ */
+export async function createWorktree(projectDir, taskId, runId) {
+  const root = await git(projectDir, ['rev-parse', '--show-toplevel']);
+  const base = await git(root, ['rev-parse', 'HEAD']);
+  const branch = `burn/${taskId}/${runId}`;
+  const path = resolve(tmpdir(), 'token-burner-worktrees', `${taskId}-${runId}`);
+
+  await git(root, ['worktree', 'add', '-b', branch, path, base]);
+  logger.info(`[${taskId}] Isolated in worktree ${path} (branch ${branch})`);
+
+  return { root, path, cwd: resolve(path, relative(root, resolve(projectDir))), branch, base };
+}
+
+/**
+ * Commit everything the run changed in the worktree, then remove it.
+ * The branch is kept when it has a commit and deleted when the run changed
+ * nothing. With `discard`, the changes are thrown away instead of committed.
+ *
+ * Returns { root, branch, base, commit, diffStat, discarded } where diffStat is
+ * { files, insertions, deletions, summary } (null when nothing changed).
+ */
+export async function finishWorktree(wt, message, { discard = false } = {}) {
+  let commit = null;
+  let diffStat = null;
+
+  try {
+    await git(wt.path, ['add', '-A', '--', '.', EXCLUDE_SETTINGS]);
+    const staged = await git(wt.path, ['diff', '--cached', '--name-only']);
+    if (staged && discard) {
+      logger.info(`Discarding changes on ${wt.branch}`);
+    } else if (staged) {
+      await git(wt.path, [...(await identityArgs(wt.path)), 'commit', '-q', '-m', message]);
+      commit = await git(wt.path, ['rev-parse', 'HEAD']);
+      diffStat = await diffStatBetween(wt.path, wt.base, commit);
+    }
+  } catch (err) {
+    logger.warn(`Failed to commit worktree changes on ${wt.branch}: ${err.message}`);
+  }
+
+  try {
+    await git(wt.root, ['worktree', 'remove', '--force', wt.path]);
+    if (!commit) await git(wt.root, ['branch', '-D', wt.branch]);
+  } catch (err) {
+    logger.warn(`Failed to remove worktree ${wt.path}: ${err.message}`);
+  }
+
+  return { root: wt.root, branch: commit ? wt.branch : null, base: wt.base, commit, diffStat, discarded: discard };
+}
+
+/**
+ * Record the state of `dir` in its git working copy before a run, so the
+ * run's changes can be diffed and rolled back. Only files under `dir` are
+ * covered: another task or a person working elsewhere in the same repository
+ * never ends up in this run's patch.
+ *
+ * Returns { root, scope, head, status, tree, outside } where `scope` is
+ * `dir` as a pathspec relative to `root`, `status` the `git status
+ * --porcelain` lines under it, `tree` a tree object of the working copy with
+ * the current state (tracked and untracked files) under `scope` and
+ * `outside` the status of everything else (to detect other work during the
+ * run). Null when `dir` is not in a git repository with at least one commit.
+ */
+export async function snapshot(dir) {
+  try {
+    const root = await git(dir, ['rev-parse', '--show-toplevel']);
+    const prefix = await git(dir, ['rev-parse', '--show-prefix']);
+    const scope = prefix ? `:(literal)${prefix.replace(/\/$/, '')}` : '.';
+    const head = await git(root, ['rev-parse', 'HEAD']);
+    const status = await git(root, ['status', '--porcelain', '--', scope, EXCLUDE_SETTINGS]);
+    const tree = await workingTree(root, scope);
+    const outside = await statusOutside(root, scope);
+    return { root, scope, head, status: status ? status.split('\n') : [], tree, outside };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * What changed under the snapshot's scope since `snap`, as a full binary
+ * patch plus a per-file summary. Also covers changes the run committed
+ * itself.
+ *
+ * Returns { root, headBefore, headAfter, statusBefore, files: [{ path,
+ * status, insertions, deletions }], insertions, deletions, patch }; `patch`
+ * is a Buffer, empty when nothing changed.
+ */
+export async function changesSince(snap) {
+  const tree = await workingTree(snap.root, snap.scope);
+  const headAfter = await git(snap.root, ['rev-parse', 'HEAD']);
+  const changes = {
+    root: snap.root,
+    headBefore: snap.head,
+    headAfter,
+    statusBefore: snap.status,
+    files: [],
+    insertions: 0,
+    deletions: 0,
+    patch: Buffer.alloc(0),
+  };
+  if (tree === snap.tree) return changes;
+
+  // Outside the scope both trees come from the real index, which may have
+  // moved meanwhile: only compare inside it
+  const diff = (format, opts) => git(snap.root, ['diff', ...format, '--no-renames', snap.tree, tree, '--', snap.scope], opts);
+  const numstat = await diff(['--numstat']);
+  const nameStatus = await diff(['--name-status']);
+  const statusOf = new Map(nameStatus.split('\n').filter(Boolean).map(line => {
+    const [status, path] = line.split('\t');
+    return [path, status];
+  }));
+
+  for (const line of numstat.split('\n').filter(Boolean)) {
+    const [added, removed, path] = line.split('\t');
+    // Binary files report "-" for both counts
+    const insertions = added === '-' ? 0 : Number(added);
+    const deletions = removed === '-' ? 0 : Number(removed);
+    changes.files.push({ path, status: statusOf.get(path) ?? 'M', insertions, deletions });
+    changes.insertions += insertions;
+    changes.deletions += deletions;
+  }
+  changes.patch = await diff(['--binary'], { raw: true });
+  return changes;
+}
+
+/**
+ * Reverse-apply a patch saved by changesSince in `root`. Checks first, so a
+ * patch that no longer applies cleanly leaves the working copy untouched.
+ */
+export async function revertPatch(root, patchPath) {
+  await git(root, ['apply', '--check', '-R', patchPath]);
+  await git(root, ['apply', '-R', patchPath]);
+}
+
+/**
+ * Write the working copy as a tree object: files under `scope` as they are
+ * on disk (tracked + untracked, minus ignored files and the executor's
+ * settings), everything else as in the index. Uses a throwaway index so the
+ * real one is never touched.
+ */
+async function workingTree(root, scope = '.') {
+  const index = resolve(tmpdir(), `token-burner-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  const env = { GIT_INDEX_FILE: index };
+  try {
+    // Starting from a copy of the real index reuses its stat cache
+    const realIndex = resolve(root, await git(root, ['rev-parse', '--git-path', 'index']));
+    if (existsSync(realIndex)) copyFileSync(realIndex, index);
+    else await git(root, ['read-tree', 'HEAD'], { env });
+    await git(root, ['add', '-A', '--', scope, EXCLUDE_SETTINGS], { env });
+    return await git(root, ['write-tree'], { env });
+  } finally {
+    rmSync(index, { force: true });
+  }
+}
+
+/**
+ * Undo what a run changed since `snap` by reverse-applying its patch: only
+ * the files the run changed under the snapshot's scope are restored, and
+ * uncommitted work that was there before the run is kept. Refuses when the
+ * run made commits, or when files outside the scope changed during the run
+ * (someone else is working in the repository).
+ * Returns true if the changes were rolled back or there were none.
+ */
+export async function rollback(snap) {
+  if (!snap) {
+    logger.warn('Not rolling back: the task directory is not in a git working copy');
+    return false;
+  }
+  const patchPath = resolve(tmpdir(), `token-burner-rollback-${process.pid}-${Date.now()}.patch`);
+  try {
+    const changes = await changesSince(snap);
+    if (changes.patch.length === 0) return true;
+    if (changes.headAfter !== snap.head) {
+      logger.warn(`Not rolling back: HEAD moved from ${snap.head.slice(0, 12)} to ${changes.headAfter.slice(0, 12)} during the run`);
+      return false;
+    }
+    if (await statusOutside(snap.root, snap.scope) !== snap.outside) {
+      logger.warn(`Not rolling back: files outside ${snap.scope === '.' ? snap.root : snap.scope.replace(':(literal)', '')} changed during the run`);
+      return false;
+    }
+    writeFileSync(patchPath, changes.patch);
+    await revertPatch(snap.root, patchPath);
+    logger.info(`Rolled back ${changes.files.length} file(s) in ${snap.root}`);
+    return true;
+  } catch (err) {
+    logger.warn(`Rollback failed: ${err.message}`);
+    return false;
+  } finally {
+    rmSync(patchPath, { force: true });
+  }
+}
+
+/**
+ * `git status --porcelain` of the working copy outside `scope` ('' when the
+ * scope is the whole repository).
+ */
+async function statusOutside(root, scope) {
+  if (scope === '.') return '';
+  const exclude = scope.replace(':(literal)', ':(exclude,literal)');
+  return git(root, ['status', '--porcelain', '--', '.', exclude, EXCLUDE_SETTINGS]);
+}
+
+/**
+ * Diffstat between two commits: counts plus the `git diff --stat` text.
+ */
+async function diffStatBetween(cwd, from, to) {
+  const summary = await git(cwd, ['diff', '--stat', from, to]);
+  const short = await git(cwd, ['diff', '--shortstat', from, to]);
+  const count = (re) => Number(short.match(re)?.[1] ?? 0);
+  return {
+    files: count(/(\d+) files? changed/),
+    insertions: count(/(\d+) insertions?/),
+    deletions: count(/(\d+) deletions?/),
+    summary,
+  };
+}
+
+/**
+ * Fallback committer identity for machines without git user config
+ * (e.g. a systemd service user).
+ */
+async function identityArgs(cwd) {
+  const email = await git(cwd, ['config', 'user.email']).catch(() => '');
+  return email ? [] : ['-c', 'user.name=token-burner', '-c', 'user.email=token-burner@localhost'];
+}
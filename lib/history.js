@@ -1,4 +1,5 @@
-import { readFileSync, writeFileSync } from 'node:fs';
+import { readFileSync } from 'node:fs';
+import { withFileLock, writeJsonAtomic } from './store.js';
 import * as logger from './logger.js';
 
 /**
@@ -17,20 +18,69 @@ export function loadHistory(historyPath) {
  * Append an execution record to history.json.
  */
 export function appendRecord(historyPath, record) {
-  const history = loadHistory(historyPath);
-
-  history.push({
-    timestamp: new Date().toISOString(),
+  const entry = {
+    timestamp: record.timestamp ?? new Date().toISOString(),
+    startedAt: record.startedAt ?? null,
+    runId: record.runId ?? null,
     taskId: record.taskId,
     taskName: record.taskName,
+    model: record.model ?? null,
     success: record.success,
     costUSD: record.costUSD,
     durationMs: record.durationMs,
+    tokens: record.tokens ?? null,
+    sessionId: record.sessionId ?? null,
+    resumed: record.resumed ?? false,
+    branch: record.branch ?? null,
+    diffStat: record.diffStat ?? null,
+    patch: record.patch ?? null,
+    repoRoot: record.repoRoot ?? null,
+    changes: record.changes ?? null,
+    review: record.review ?? null,
+    windowDelta: record.windowDelta ?? null,
+    overlapped: record.overlapped ?? false,
     error: record.error || null,
+    errorClass: record.errorClass ?? null,
+    attempt: record.attempt ?? 1,
+    retryAt: record.retryAt ?? null,
+    recovered: record.recovered ?? false,
+  };
+
+  modifyHistory(historyPath, history => {
+    history.push(entry);
   });
+}
 
+/**
+ * Update the record of one run (matched by task id and run id) in place.
+ * Returns the updated record, or null if there is no such run.
+ */
+export function updateRecord(historyPath, taskId, runId, changes) {
+  let record = null;
+  modifyHistory(historyPath, history => {
+    record = history.find(h => h.taskId === taskId && h.runId === runId) ?? null;
+    if (record) Object.assign(record, changes);
+  });
+  return record;
+}
+
+/**
+ * Read-modify-write history.json under its file lock, so concurrent burn
+ * processes never lose each other's records. A history file that exists
+ * but can't be parsed is left alone rather than replaced.
+ */
+function modifyHistory(historyPath, modify) {
   try {
-    writeFileSync(historyPath, JSON.stringify(history, null, 2) + '\n', 'utf-8');
+    withFileLock(historyPath, () => {
+      let history = [];
+      try {
+        history = JSON.parse(readFileSync(historyPath, 'utf-8'));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw new Error(`history.json is unreadable (${err.message}), not overwriting it`);
+      }
+      modify(history);
+      writeJsonAtomic(historyPath, history);
+    });
     logger.debug(`History updated: ${historyPath}`);
   } catch (err) {
     logger.error(`Failed to write history: ${err.message}`);
@@ -45,8 +95,79 @@ export function getRecentHistory(historyPath, count = 10) {
   return history.slice(-count).reverse().map(h => ({
     time: new Date(h.timestamp).toLocaleString(),
     task: h.taskName || h.taskId,
-    status: h.success ? 'OK' : 'FAIL',
+    status: h.success ? 'OK' : (h.retryAt ? `RETRY (${h.errorClass})` : `FAIL${h.errorClass ? ` (${h.errorClass})` : ''}`),
+    model: h.model || '-',
     cost: h.costUSD != null ? `$${h.costUSD.toFixed(2)}` : '-',
+    tokens: h.tokens ? formatTokens(h.tokens.input + h.tokens.output + h.tokens.cacheRead + h.tokens.cacheWrite) : '-',
     duration: h.durationMs ? `${(h.durationMs / 1000).toFixed(0)}s` : '-',
   }));
 }
+
+function formatTokens(n) {
+  if (n >= 1_000_000) return `${(n / 1_000_000).toFixed(1)}M`;
+  if (n >= 1_000) return `${(n / 1_000).toFixed(1)}k`;
+  return String(n);
+}
+
+/**
+ * Per-task window cost statistics from past runs' utilization deltas.
+ * Runs that overlapped other tasks are ignored when clean runs exist, since
+ * their deltas include the other tasks' usage.
+ *
+ * Durations come from successful runs only.
+ *
+ * Returns { [taskId]: { runs, avg: { window: delta }, worst: { window: delta },
+ *   avgDurationMs, worstDurationMs } }.
+ */
+export function getTaskUsageStats(history) {
+  const byTask = {};
+  const durations = {};
+  for (const h of history) {
+    if (h.success && h.durationMs) (durations[h.taskId] ??= []).push(h.durationMs);
+    if (!h.windowDelta) continue;
+    (byTask[h.taskId] ??= []).push(h);
+  }
+
+  const stats = {};
+  for (const [taskId, records] of Object.entries(byTask)) {
+    const clean = records.filter(r => !r.overlapped);
+    const runs = clean.length > 0 ? clean : records;
+
+    const avg = {};
+    const worst = {};
+    const counts = {};
+    for (const r of runs) {
+      for (const [name, d] of Object.entries(r.windowDelta)) {
+        avg[name] = (avg[name] ?? 0) + d;
+        counts[name] = (counts[name] ?? 0) + 1;
+        worst[name] = Math.max(worst[name] ?? -Infinity, d);
+      }
+    }
+    for (const name of Object.keys(avg)) {
+      avg[name] = +(avg[name] / counts[name]).toFixed(4);
+    }
+
+    stats[taskId] = { runs: runs.length, avg, worst };
+  }
+
+  for (const [taskId, list] of Object.entries(durations)) {
+    stats[taskId] ??= { runs: 0, avg: {}, worst: {} };
+    stats[taskId].avgDurationMs = Math.round(list.reduce((a, b) => a + b, 0) / list.length);
+    stats[taskId].worstDurationMs = Math.max(...list);
+  }
+  return stats;
+}
+
+/**
+ * Start time (ms) of each task's last successful run: { [taskId]: ms }.
+ * Failed runs don't count; their retries follow the retry backoff.
+ */
+export function getLastRunTimes(history) {
+  const last = {};
+  for (const h of history) {
+    if (!h.success) continue;
+    const at = Date.parse(h.startedAt ?? h.timestamp);
+    if (!Number.isNaN(at) && !(last[h.taskId] >= at)) last[h.taskId] = at;
+  }
+  return last;
+}
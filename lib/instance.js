@@ -0,0 +1,185 @@
+import { openSync, closeSync, readFileSync, writeFileSync, linkSync, renameSync, rmSync, unlinkSync, statSync, utimesSync } from 'node:fs';
+import { hostname } from 'node:os';
+import { processAlive, sleepSync } from './store.js';
+
+/**
+ * Single-instance lease: only one burn process may run cycles against a
+ * tasks.json at a time. The lease is a `burn.lock` file next to it holding
+ * the owner's pid and host; the owner touches it every minute, so a lease
+ * from another host that hasn't been renewed for LEASE_EXPIRY_MS is
+ * considered abandoned.
+ *
+ * The lease also records the boot id and the owner's process start time
+ * (where the OS provides them, e.g. Linux), so a pid reused after a reboot
+ * is not mistaken for a live owner.
+ */
+
+const LEASE_RENEW_MS = 60_000;
+const LEASE_EXPIRY_MS = 5 * 60_000;
+// An unreadable lease may still be being written (or replaced): wait this long
+const LEASE_GRACE_MS = 10_000;
+// A takeover guard older than this was left by a process that died mid-takeover
+const TAKEOVER_STALE_MS = 10_000;
+const ACQUIRE_ATTEMPTS = 20;
+const ACQUIRE_RETRY_MS = 100;
+
+/**
+ * The identity recorded for this process in the lease and in running tasks.
+ */
+export function currentOwner() {
+  return { pid: process.pid, host: hostname() };
+}
+
+/**
+ * Try to take the lease at `lockPath`. A lease whose owner process is gone
+ * (or, on another host, that has expired) is taken over.
+ *
+ * The lease is never visible half-written: it is created as a hard link to a
+ * fully written temp file, and a dead lease is replaced by renaming one over
+ * it. Takeovers are serialized by a `<lockPath>.takeover` guard file, so two
+ * processes that both find a dead lease (e.g. cron and the service at boot)
+ * can't both end up owning it.
+ *
+ * Returns { release } on success, or { heldBy } with the current owner's
+ * lease info when another live instance holds it.
+ */
+export function acquireInstanceLock(lockPath, { mode } = {}) {
+  const lease = {
+    ...currentOwner(),
+    bootId: bootId(),
+    startTime: processStartTime(process.pid),
+    mode: mode ?? null,
+    since: new Date().toISOString(),
+  };
+  const tmpPath = `${lockPath}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(lease, null, 2));
+
+  try {
+    for (let attempt = 0; attempt < ACQUIRE_ATTEMPTS; attempt++) {
+      try {
+        linkSync(tmpPath, lockPath);
+        return { release: leaseHandle(lockPath) };
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      const holder = readLease(lockPath);
+      if (isLeaseLive(lockPath, holder)) return { heldBy: holder ?? { pid: null } };
+      const taken = takeOver(lockPath, tmpPath, holder, lease);
+      if (taken) return { release: leaseHandle(lockPath) };
+      if (taken === null) sleepSync(ACQUIRE_RETRY_MS);
+    }
+    return { heldBy: readLease(lockPath) ?? { pid: null } };
+  } finally {
+    rmSync(tmpPath, { force: true });
+  }
+}
+
+/**
+ * Replace the dead lease `stale` with ours (written at `tmpPath`). Returns
+ * true if the lease is ours afterwards, false if it changed meanwhile (re-check
+ * it), or null if another process is taking it over right now (wait).
+ */
+function takeOver(lockPath, tmpPath, stale, lease) {
+  const guardPath = `${lockPath}.takeover`;
+  try {
+    closeSync(openSync(guardPath, 'wx'));
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    if (ageMs(guardPath) > TAKEOVER_STALE_MS) rmSync(guardPath, { force: true });
+    return null;
+  }
+
+  try {
+    // Someone else may have taken over between our check and the guard
+    if (JSON.stringify(readLease(lockPath)) !== JSON.stringify(stale)) return false;
+    renameSync(tmpPath, lockPath);
+    const now = readLease(lockPath);
+    return now?.pid === lease.pid && now?.since === lease.since;
+  } finally {
+    rmSync(guardPath, { force: true });
+  }
+}
+
+function readLease(lockPath) {
+  try {
+    return JSON.parse(readFileSync(lockPath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function isLeaseLive(lockPath, holder) {
+  // Unreadable: possibly being replaced right now, give it a moment
+  if (!holder) return ageMs(lockPath) < LEASE_GRACE_MS;
+  if (holder.host && holder.host !== hostname()) {
+    return ageMs(lockPath) < LEASE_EXPIRY_MS;
+  }
+  // We don't hold it yet, so a lease with our pid is from before a reboot
+  if (holder.pid === process.pid) return false;
+  const boot = bootId();
+  if (holder.bootId && boot && holder.bootId !== boot) return false;
+  const started = processStartTime(holder.pid);
+  if (holder.startTime && started && holder.startTime !== started) return false;
+  return processAlive(holder);
+}
+
+function ageMs(path) {
+  try {
+    return Date.now() - statSync(path).mtimeMs;
+  } catch {
+    return Infinity;
+  }
+}
+
+/**
+ * This boot's id (Linux), or null where the OS doesn't expose one.
+ */
+function bootId() {
+  try {
+    return readFileSync('/proc/sys/kernel/random/boot_id', 'utf-8').trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * When process `pid` started, in clock ticks since boot (Linux), or null.
+ */
+function processStartTime(pid) {
+  try {
+    const stat = readFileSync(`/proc/${pid}/stat`, 'utf-8');
+    // Fields after the command name, which may contain spaces; starttime is field 22
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19] ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Keep the lease renewed while the process runs and remove it on exit.
+ * Returns the release function.
+ */
+function leaseHandle(lockPath) {
+  const renew = setInterval(() => {
+    try {
+      const now = new Date();
+      utimesSync(lockPath, now, now);
+    } catch { /* lease file gone */ }
+  }, LEASE_RENEW_MS);
+  renew.unref();
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    clearInterval(renew);
+    process.off('exit', release);
+    // Only remove the lease if it is still ours
+    if (readLease(lockPath)?.pid === process.pid) {
+      try { unlinkSync(lockPath); } catch { /* ignore */ }
+    }
+  };
+  process.on('exit', release);
+  return release;
+}
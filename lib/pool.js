@@ -0,0 +1,32 @@
+import * as logger from './logger.js';
+
+/**
+ * Run work items with at most `concurrency` in flight at once.
+ *
+ * `next({ active, stop })` is asked for a new item whenever a slot is free.
+ * Returning null means "nothing dispatchable right now": the pool waits for a
+ * running item to finish and asks again, and exits once nothing is running.
+ * Calling `stop()` prevents any further dispatching; running items still
+ * finish. `run(item)` performs the work and may return a promise.
+ */
+export async function runPool({ concurrency, next, run }) {
+  const active = new Set();
+  let stopped = false;
+  const stop = () => { stopped = true; };
+
+  while (true) {
+    while (!stopped && active.size < concurrency) {
+      const item = await next({ active: active.size, stop });
+      if (item == null) break;
+
+      const job = Promise.resolve()
+        .then(() => run(item))
+        .catch(err => logger.error(`Worker error: ${err.message}`))
+        .finally(() => active.delete(job));
+      active.add(job);
+    }
+
+    if (active.size === 0) break;
+    await Promise.race(active);
+  }
+}
@@ -1,4 +1,4 @@
-import { loadCredentials, makeMinimalRequest, parseRateLimits, WINDOW_LABELS } from './get-rate-limits.mjs';
+import { loadCredentials, isTokenExpired, refreshCredentials, makeMinimalRequest, parseRateLimits, WINDOW_LABELS } from './get-rate-limits.mjs';
 import * as logger from './logger.js';
 
 export { WINDOW_LABELS };
@@ -7,17 +7,61 @@ export { WINDOW_LABELS };
  * Fetch current rate limit status by making a minimal API call (~9 tokens)
  * using the Claude Code OAuth credentials.
  *
+ * An expired access token is refreshed with the stored refresh token before
+ * probing; a 401 response triggers one refresh and a single retry. The token
+ * endpoint comes from BURN_OAUTH_TOKEN_URL or config.auth.tokenUrl, the API
+ * base URL from BURN_API_BASE_URL or config.api.baseUrl.
+ *
  * Returns null on failure, otherwise:
  * {
  *   windows: { "5h": { utilization, status, reset }, "7d": { ... }, ... },
  *   meta: { overallStatus, representativeClaim, fallbackPercentage, reset },
  *   subscription, tier, statusCode
  * }
+ *
+ * If the refresh token is missing or rejected, returns
+ * { windows: {}, meta: {}, needsRelogin: true, error, statusCode: 401 }.
+ * A refresh that fails for a transient reason (network error, timeout, 5xx)
+ * returns null like any other failed probe, to be tried again next cycle.
  */
-export async function fetchRateLimits() {
+export async function fetchRateLimits(config = {}) {
+  const auth = {
+    tokenUrl: process.env.BURN_OAUTH_TOKEN_URL || config.auth?.tokenUrl,
+    clientId: config.auth?.clientId,
+  };
+  const api = { baseUrl: process.env.BURN_API_BASE_URL || config.api?.baseUrl };
+
   try {
-    const creds = loadCredentials();
-    const response = await makeMinimalRequest(creds.accessToken);
+    let creds = loadCredentials();
+
+    const refresh = async (why) => {
+      logger.info(`${why}, refreshing OAuth token...`);
+      try {
+        creds = await refreshCredentials(creds, auth);
+        logger.success('OAuth token refreshed');
+        return true;
+      } catch (err) {
+        if (!err.needsRelogin) throw err;
+        logger.error(`Credentials need re-login: ${err.message}`);
+        return false;
+      }
+    };
+
+    if (isTokenExpired(creds) && !(await refresh('Access token expired'))) {
+      return reloginState('Token refresh failed');
+    }
+
+    let response = await makeMinimalRequest(creds.accessToken, api);
+
+    if (response.statusCode === 401) {
+      if (!(await refresh('API rejected access token (401)'))) {
+        return reloginState('Token refresh failed');
+      }
+      response = await makeMinimalRequest(creds.accessToken, api);
+      if (response.statusCode === 401) {
+        return reloginState('API still rejects refreshed token');
+      }
+    }
 
     const rateLimits = parseRateLimits(response.headers);
 
@@ -39,3 +83,7 @@ export async function fetchRateLimits() {
     return null;
   }
 }
+
+function reloginState(error) {
+  return { windows: {}, meta: {}, needsRelogin: true, error, statusCode: 401 };
+}
@@ -0,0 +1,152 @@
+import { readFileSync, writeFileSync, mkdirSync, readdirSync, statSync, rmSync, existsSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as logger from './logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const REPORTS_DIR = resolve(__dirname, '..', 'reports');
+
+/**
+ * Per-run reports: reports/<taskId>/<runId>/report.json, with the run's
+ * patch next to it as reports/<taskId>/<runId>.patch.
+ */
+
+export const REPORT_RETENTION_DEFAULTS = {
+  keepRuns: null,
+  maxAgeDays: null,
+  maxSizeMB: null,
+};
+
+/**
+ * Whether `id` (a task or run id) can be used as a single path component:
+ * no path separators, and not "." or "..".
+ */
+export function isSafeId(id) {
+  return typeof id === 'string' && id !== '' && id !== '.' && id !== '..' && !/[/\\\0]/.test(id);
+}
+
+/**
+ * Paths belonging to one run: { dir, report, patch }. Throws on a task or
+ * run id that would escape reports/.
+ */
+export function runPaths(taskId, runId) {
+  for (const id of [taskId, runId]) {
+    if (!isSafeId(id)) throw new Error(`Invalid id "${id}": must not contain path separators or be "." or ".."`);
+  }
+  const dir = resolve(REPORTS_DIR, taskId, runId);
+  return { dir, report: resolve(dir, 'report.json'), patch: `${dir}.patch` };
+}
+
+/**
+ * Write a run's report. Returns its path, or null if it could not be written.
+ */
+export function writeReport(taskId, runId, report) {
+  try {
+    const { dir, report: reportPath } = runPaths(taskId, runId);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+    logger.info(`Report saved to ${reportPath}`);
+    return reportPath;
+  } catch (e) {
+    logger.warn(`Failed to save report: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Run ids with a report for a task, oldest first.
+ */
+export function listRuns(taskId) {
+  if (!isSafeId(taskId)) return [];
+  try {
+    return readdirSync(resolve(REPORTS_DIR, taskId), { withFileTypes: true })
+      .filter(e => e.isDirectory())
+      .map(e => e.name)
+      .sort();
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Load one run's report, or null if it is missing or unreadable.
+ */
+export function readReport(taskId, runId) {
+  try {
+    return JSON.parse(readFileSync(runPaths(taskId, runId).report, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Delete old run reports (and their patches) according to the retention
+ * settings: at most `keepRuns` runs per task, none older than `maxAgeDays`,
+ * and the oldest runs first until all reports fit in `maxSizeMB`.
+ * Only runs listed in `owned` ("<taskId>/<runId>", the runs of the history
+ * being pruned) are considered, so reports of other tasks files sharing
+ * reports/ are left alone; runs listed in `keep` (e.g. unreviewed patches)
+ * are never deleted. Returns the number of runs removed.
+ */
+export function pruneReports(retention = {}, { owned, keep = new Set(), now = Date.now() } = {}) {
+  const { keepRuns, maxAgeDays, maxSizeMB } = { ...REPORT_RETENTION_DEFAULTS, ...retention };
+  if (keepRuns == null && maxAgeDays == null && maxSizeMB == null) return 0;
+
+  let taskIds;
+  try {
+    taskIds = readdirSync(REPORTS_DIR, { withFileTypes: true }).filter(e => e.isDirectory()).map(e => e.name);
+  } catch {
+    return 0;
+  }
+
+  const runs = [];
+  for (const taskId of taskIds) {
+    const ids = listRuns(taskId).filter(runId => owned.has(`${taskId}/${runId}`));
+    ids.forEach((runId, i) => {
+      const paths = runPaths(taskId, runId);
+      runs.push({
+        taskId,
+        runId,
+        paths,
+        newerRuns: ids.length - 1 - i,
+        mtimeMs: statSync(paths.dir).mtimeMs,
+        bytes: diskUsage(paths.dir) + diskUsage(paths.patch),
+      });
+    });
+  }
+
+  const doomed = new Set();
+  for (const run of runs) {
+    if (keep.has(`${run.taskId}/${run.runId}`)) continue;
+    if (keepRuns != null && run.newerRuns >= keepRuns) doomed.add(run);
+    if (maxAgeDays != null && now - run.mtimeMs > maxAgeDays * 86_400_000) doomed.add(run);
+  }
+
+  if (maxSizeMB != null) {
+    let total = runs.filter(r => !doomed.has(r)).reduce((sum, r) => sum + r.bytes, 0);
+    const oldestFirst = runs.filter(r => !doomed.has(r) && !keep.has(`${r.taskId}/${r.runId}`))
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const run of oldestFirst) {
+      if (total <= maxSizeMB * 1024 * 1024) break;
+      doomed.add(run);
+      total -= run.bytes;
+    }
+  }
+
+  for (const run of doomed) {
+    rmSync(run.paths.dir, { recursive: true, force: true });
+    rmSync(run.paths.patch, { force: true });
+  }
+  if (doomed.size > 0) logger.debug(`Pruned ${doomed.size} old run report(s)`);
+  return doomed.size;
+}
+
+/**
+ * Bytes used by a file or directory tree (0 if missing).
+ */
+function diskUsage(path) {
+  if (!existsSync(path)) return 0;
+  const stat = statSync(path);
+  if (!stat.isDirectory()) return stat.size;
+  return readdirSync(path).reduce((sum, name) => sum + diskUsage(resolve(path, name)), 0);
+}
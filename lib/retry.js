@@ -0,0 +1,83 @@
+/**
+ * Failure classification and retry policy for task runs.
+ */
+
+export const RETRY_DEFAULTS = {
+  maxRetries: 2,
+  backoffMinutes: 10,
+  backoffFactor: 2,
+  maxBackoffMinutes: 240,
+  retryOn: ['timeout', 'overloaded', 'rate_limit', 'network', 'interrupted'],
+};
+
+/**
+ * Every error class a failed run can have: those classifyError returns, plus
+ * `isolation` (worktree setup failed), `verify` (a verify command failed),
+ * `limit` (a streamed run aborted by maxTurns / maxCostUSD) from the executor
+ * and `interrupted` (the burn process died mid-run) from recovery.
+ */
+export const ERROR_CLASSES = [
+  'timeout', 'overloaded', 'rate_limit', 'network', 'budget', 'permission', 'auth',
+  'isolation', 'verify', 'limit', 'interrupted', 'unknown',
+];
+
+/**
+ * Patterns that identify each error class, checked in order.
+ * Anything unmatched is "unknown".
+ */
+const ERROR_PATTERNS = [
+  ['budget', /max[-_ ]?budget|budget (exceeded|limit)|error_max_budget/i],
+  ['permission', /permission denied|EACCES|EPERM|not permitted|requires approval|permission to use/i],
+  ['auth', /\b401\b|invalid api key|authentication|please run \/login|not logged in/i],
+  ['overloaded', /\b529\b|overloaded/i],
+  ['rate_limit', /\b429\b|rate[-_ ]?limit/i],
+  ['network', /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|network|fetch failed/i],
+  ['timeout', /timed out|timeout/i],
+];
+
+/**
+ * Classify a failed run from the CLI's error text: stderr and the error
+ * fields of its result. Never pass the task's own output, which may well
+ * mention "rate limit" or "timeout" without the run having hit one.
+ * Returns one of: budget, permission, auth, overloaded, rate_limit,
+ * network, timeout, unknown.
+ */
+export function classifyError(errorText) {
+  const text = errorText || '';
+  for (const [cls, pattern] of ERROR_PATTERNS) {
+    if (pattern.test(text)) return cls;
+  }
+  return 'unknown';
+}
+
+/**
+ * Effective retry policy: defaults < config.retry < task.retry.
+ */
+export function retryPolicy(task, config = {}) {
+  return { ...RETRY_DEFAULTS, ...config.retry, ...task.retry };
+}
+
+/**
+ * Decide what happens after a failed attempt.
+ *
+ * Returns { retry: true, attempts, nextAttemptAt, delayMs } when another
+ * attempt should be scheduled, or { retry: false, reason } when the task
+ * should go to "failed".
+ */
+export function planRetry(task, errorClass, policy, now = Date.now()) {
+  if (!policy.retryOn.includes(errorClass)) {
+    return { retry: false, reason: `${errorClass} errors are not retried` };
+  }
+
+  const attempts = (task.attempts ?? 0) + 1;
+  if (attempts > policy.maxRetries) {
+    return { retry: false, reason: `gave up after ${policy.maxRetries} retr${policy.maxRetries === 1 ? 'y' : 'ies'}` };
+  }
+
+  const minutes = Math.min(
+    policy.backoffMinutes * policy.backoffFactor ** (attempts - 1),
+    policy.maxBackoffMinutes,
+  );
+  const delayMs = Math.round(minutes * 60_000);
+  return { retry: true, attempts, nextAttemptAt: new Date(now + delayMs).toISOString(), delayMs };
+}
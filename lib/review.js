@@ -0,0 +1,78 @@
+import { readFileSync } from 'node:fs';
+import { loadHistory, updateRecord } from './history.js';
+import { git, revertPatch } from './git.js';
+import { COLORS } from './logger.js';
+
+/**
+ * Review of the changes runs made: each history record with a saved patch
+ * stays pending until it is accepted or rejected.
+ */
+
+/**
+ * Runs with a saved patch that have not been reviewed yet, oldest first.
+ */
+export function pendingReviews(historyPath) {
+  return loadHistory(historyPath).filter(h => h.patch && !h.review);
+}
+
+/**
+ * Find a reviewable run by "<taskId>/<runId>", or by a run id or task id
+ * alone when that matches a single run (for a task id: its latest pending
+ * run). Returns { record } or { error }.
+ */
+export function findRun(historyPath, ref) {
+  const runs = loadHistory(historyPath).filter(h => h.patch);
+  let matches = runs.filter(h => `${h.taskId}/${h.runId}` === ref || h.runId === ref);
+  if (matches.length === 0) {
+    matches = runs.filter(h => h.taskId === ref && !h.review).slice(-1);
+  }
+
+  if (matches.length === 0) return { error: `No run with a patch matches "${ref}"` };
+  if (matches.length > 1) {
+    return { error: `"${ref}" matches ${matches.length} runs, use <taskId>/<runId>: ${matches.map(h => `${h.taskId}/${h.runId}`).join(', ')}` };
+  }
+  return { record: matches[0] };
+}
+
+/**
+ * The run's patch, colored for the terminal.
+ */
+export function formatPatch(record) {
+  let text;
+  try {
+    text = readFileSync(record.patch, 'utf-8');
+  } catch (err) {
+    return `${COLORS.red}Patch not readable: ${err.message}${COLORS.reset}`;
+  }
+
+  return text.split('\n').map(line => {
+    if (line.startsWith('diff --git')) return `${COLORS.yellow}${line}${COLORS.reset}`;
+    if (line.startsWith('+++') || line.startsWith('---')) return line;
+    if (line.startsWith('@@')) return `${COLORS.cyan}${line}${COLORS.reset}`;
+    if (line.startsWith('+')) return `${COLORS.green}${line}${COLORS.reset}`;
+    if (line.startsWith('-')) return `${COLORS.red}${line}${COLORS.reset}`;
+    return line;
+  }).join('\n');
+}
+
+/**
+ * Mark a run's changes as accepted.
+ */
+export function acceptRun(historyPath, record) {
+  return updateRecord(historyPath, record.taskId, record.runId, { review: 'accepted', reviewedAt: new Date().toISOString() });
+}
+
+/**
+ * Revert a run's changes and mark it rejected. A worktree run's branch is
+ * deleted; otherwise the patch is reverse-applied to the working copy it came
+ * from. Rejects (leaving the run pending) if the revert fails, e.g. because
+ * the files changed again since.
+ */
+export async function rejectRun(historyPath, record) {
+  if (record.branch) {
+    await git(record.repoRoot, ['branch', '-D', record.branch]);
+  } else {
+    await revertPatch(record.repoRoot, record.patch);
+  }
+  return updateRecord(historyPath, record.taskId, record.runId, { review: 'rejected', reviewedAt: new Date().toISOString() });
+}
@@ -0,0 +1,132 @@
+import { readFileSync, appendFileSync } from 'node:fs';
+import * as logger from './logger.js';
+
+/**
+ * Rate limit samples: one JSON object per line (append-only time series).
+ * Every probe is recorded so utilization can be charted after the fact.
+ */
+
+/**
+ * Append a probe result. Failed probes (null / needs re-login) are skipped.
+ */
+export function appendSample(samplesPath, rateLimits, timestamp = new Date().toISOString()) {
+  if (!rateLimits || rateLimits.needsRelogin) return;
+
+  const windows = {};
+  for (const [name, w] of Object.entries(rateLimits.windows || {})) {
+    windows[name] = {
+      utilization: w.utilization ?? null,
+      status: w.status ?? null,
+      reset: w.reset ?? null,
+    };
+  }
+
+  const sample = {
+    timestamp,
+    statusCode: rateLimits.statusCode ?? null,
+    binding: rateLimits.meta?.representativeClaim ?? null,
+    windows,
+  };
+
+  try {
+    appendFileSync(samplesPath, JSON.stringify(sample) + '\n', 'utf-8');
+  } catch (err) {
+    logger.warn(`Failed to record rate limit sample: ${err.message}`);
+  }
+}
+
+/**
+ * Load samples taken at or after `sinceMs`, oldest first.
+ * Malformed lines are ignored. Returns [] on missing file.
+ */
+export function loadSamples(samplesPath, sinceMs = 0) {
+  let raw;
+  try {
+    raw = readFileSync(samplesPath, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const samples = [];
+  for (const line of raw.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const s = JSON.parse(line);
+      if (Date.parse(s.timestamp) >= sinceMs) samples.push(s);
+    } catch { /* skip */ }
+  }
+  return samples;
+}
+
+/**
+ * Time span [start, end] (ms) a history record's task was running.
+ */
+export function runInterval(record) {
+  const duration = record.durationMs ?? 0;
+  if (record.startedAt) {
+    const start = Date.parse(record.startedAt);
+    return [start, start + duration];
+  }
+  const end = Date.parse(record.timestamp);
+  return [end - duration, end];
+}
+
+/**
+ * Split one window's samples into periods (between resets) and attribute
+ * utilization growth to the burner or to interactive use.
+ *
+ * Growth between two consecutive samples is counted as burner usage if any
+ * task from history was running during that interval, otherwise as
+ * interactive usage.
+ *
+ * Returns [{ reset, lastUtilization, unused, burner, interactive, complete }],
+ * oldest first. `complete` is false for the period still in progress.
+ */
+export function analyzeWindow(samples, windowName, history = []) {
+  const runs = history.map(runInterval);
+  const ranDuring = (from, to) => runs.some(([start, end]) => start < to && end > from);
+
+  const periods = [];
+  let current = null;
+  let prev = null;
+
+  for (const sample of samples) {
+    const w = sample.windows?.[windowName];
+    if (!w || w.utilization == null) continue;
+    const t = Date.parse(sample.timestamp);
+
+    if (!current || (w.reset && current.reset && w.reset !== current.reset) || w.utilization < current.lastUtilization - 0.05) {
+      if (current) current.complete = true;
+      current = { reset: w.reset, lastUtilization: w.utilization, burner: 0, interactive: 0, complete: false };
+      periods.push(current);
+    } else if (prev) {
+      const delta = w.utilization - current.lastUtilization;
+      if (delta > 0) {
+        if (ranDuring(prev, t)) current.burner += delta;
+        else current.interactive += delta;
+      }
+      current.lastUtilization = w.utilization;
+    }
+    prev = t;
+  }
+
+  return periods.map(p => ({ ...p, unused: Math.max(0, 1 - p.lastUtilization) }));
+}
+
+/**
+ * Bucket one window's utilization into `width` columns over [fromMs, toMs].
+ * Each bucket holds the highest utilization seen in it, or null if empty.
+ */
+export function bucketUtilization(samples, windowName, fromMs, toMs, width) {
+  const buckets = new Array(width).fill(null);
+  const span = Math.max(1, toMs - fromMs);
+
+  for (const sample of samples) {
+    const u = sample.windows?.[windowName]?.utilization;
+    if (u == null) continue;
+    const i = Math.min(width - 1, Math.floor(((Date.parse(sample.timestamp) - fromMs) / span) * width));
+    if (i < 0) continue;
+    buckets[i] = buckets[i] == null ? u : Math.max(buckets[i], u);
+  }
+  return buckets;
+}
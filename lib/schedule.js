@@ -0,0 +1,269 @@
+/**
+ * Per-task time controls: `schedule` (a cron expression or "every <interval>"),
+ * `notBefore` / `notAfter` and `activeHours`. All times are local.
+ */
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+};
+
+const UNIT_MS = { m: 60_000, min: 60_000, h: 3_600_000, d: 86_400_000, w: 7 * 86_400_000 };
+
+// Guard for cron expressions that never fire (e.g. "0 0 30 2 *")
+const MAX_CRON_STEPS = 10_000;
+
+/**
+ * Parse a task's `schedule`: "every 24h" (units m, h, d, w, combinable as in
+ * "every 1h30m") or a 5-field cron expression "minute hour dom month dow"
+ * with *, lists, ranges, steps and month/day names, or an @daily-style alias.
+ *
+ * Returns { kind: 'interval', ms } or { kind: 'cron', minutes, hours, days,
+ * months, weekdays, anyDay, anyWeekday }. Throws on an invalid spec.
+ */
+export function parseSchedule(spec) {
+  const text = String(spec).trim().toLowerCase();
+
+  const every = text.match(/^every\s+(.+)$/);
+  if (every) {
+    const parts = [...every[1].matchAll(/(\d+(?:\.\d+)?)\s*(min|m|h|d|w)/g)];
+    const ms = parts.reduce((sum, [, n, unit]) => sum + Number(n) * UNIT_MS[unit], 0);
+    if (parts.map(p => p[0]).join('').replace(/\s/g, '') !== every[1].replace(/\s/g, '') || ms <= 0) {
+      throw new Error(`Invalid interval "${spec}" (expected e.g. "every 24h" or "every 1h30m")`);
+    }
+    return { kind: 'interval', ms };
+  }
+
+  const fields = (CRON_ALIASES[text] ?? text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`Invalid schedule "${spec}" (expected a 5-field cron expression or "every <interval>")`);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i], spec));
+  // Sunday can be written as 0 or 7
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    kind: 'cron',
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+  };
+}
+
+function parseCronField(field, { name, min, max, names }, spec) {
+  const values = new Set();
+  const value = (str) => {
+    const n = names?.indexOf(str) ?? -1;
+    const v = n >= 0 ? n + (name === 'month' ? 1 : 0) : Number(str);
+    if (!Number.isInteger(v) || v < min || v > max) {
+      throw new Error(`Invalid ${name} "${str}" in schedule "${spec}"`);
+    }
+    return v;
+  };
+
+  for (const part of field.split(',')) {
+    const [range, stepStr] = part.split('/');
+    const step = stepStr === undefined ? 1 : Number(stepStr);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepStr}" in schedule "${spec}"`);
+    }
+
+    let from;
+    let to;
+    if (range === '*') {
+      [from, to] = [min, max];
+    } else if (range.includes('-')) {
+      [from, to] = range.split('-').map(value);
+    } else {
+      from = value(range);
+      to = stepStr === undefined ? from : max;
+    }
+    if (from > to) throw new Error(`Invalid range "${range}" in schedule "${spec}"`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * First time at or after `fromMs` (rounded up to the minute) that a parsed
+ * cron schedule fires, or null if it never does.
+ */
+export function nextCronTime(cron, fromMs) {
+  let d = new Date(Math.ceil(fromMs / 60_000) * 60_000);
+
+  for (let i = 0; i < MAX_CRON_STEPS; i++) {
+    const [y, mo, day, h, min] = [d.getFullYear(), d.getMonth(), d.getDate(), d.getHours(), d.getMinutes()];
+    if (!cron.months.has(mo + 1)) {
+      d = new Date(y, mo + 1, 1);
+    } else if (!cronDayMatches(cron, d)) {
+      d = new Date(y, mo, day + 1);
+    } else if (!cron.hours.has(h)) {
+      d = new Date(y, mo, day, h + 1);
+    } else if (!cron.minutes.has(min)) {
+      d = new Date(y, mo, day, h, min + 1);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
+
+/**
+ * Cron day matching: when both day of month and day of week are restricted,
+ * either may match (as in standard cron).
+ */
+function cronDayMatches(cron, d) {
+  const dom = cron.days.has(d.getDate());
+  const dow = cron.weekdays.has(d.getDay());
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+/**
+ * Parse time ranges (a task's `activeHours`, quiet hours): "09:00-17:00" or
+ * a list of such ranges. A range may
+ * wrap midnight ("22:00-06:00"). Returns [{ start, end }] in minutes since
+ * midnight. Throws on an invalid spec.
+ */
+export function parseActiveHours(spec) {
+  const list = Array.isArray(spec) ? spec : [spec];
+  return list.map(range => {
+    const m = String(range).trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+    const start = m && Number(m[1]) * 60 + Number(m[2]);
+    const end = m && Number(m[3]) * 60 + Number(m[4]);
+    if (!m || Number(m[2]) >= 60 || Number(m[4]) >= 60 || start > 24 * 60 || end > 24 * 60 || start === end) {
+      throw new Error(`Invalid time range "${range}" (expected e.g. "09:00-17:00")`);
+    }
+    return { start, end };
+  });
+}
+
+/**
+ * Parse `notBefore` / `notAfter`: an ISO timestamp, or a date ("2026-11-01")
+ * meaning local midnight. With `endOfDay`, a plain date means the end of that
+ * day, so `notAfter: "2026-11-30"` includes the 30th. Throws if invalid.
+ */
+export function parseTaskTime(value, { endOfDay = false } = {}) {
+  const text = String(value);
+  const date = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  // Date.parse rolls days over (e.g. "2026-02-30" is March 2nd): check the date part
+  if (date) {
+    const [year, month, day] = date.slice(1).map(Number);
+    if (month < 1 || month > 12 || day < 1 || day > new Date(year, month, 0).getDate()) {
+      throw new Error(`Invalid date "${value}"`);
+    }
+  }
+  const ms = date && date[0] === text
+    ? new Date(Number(date[1]), Number(date[2]) - 1, Number(date[3]) + (endOfDay ? 1 : 0)).getTime()
+    : Date.parse(text);
+  if (Number.isNaN(ms)) throw new Error(`Invalid date "${value}"`);
+  return ms;
+}
+
+/**
+ * When a task's time controls next allow it to start, given the start time
+ * of its last successful run (`lastRunAt`, ms or null).
+ *
+ * - `schedule` "every X": X after the last run.
+ * - `schedule` cron: at each fire time after the last run. A fire missed
+ *   (e.g. for lack of headroom) can be caught up later the same day only.
+ * - `notBefore` / `notAfter`: the task never starts outside these bounds.
+ * - `activeHours`: the task only starts inside these local time ranges.
+ *
+ * Returns { at, reason }: `at` is `now` when the task may start now, a later
+ * time in ms, or null when it never will (expired or invalid); `reason` names
+ * the control that holds it back (null when eligible now).
+ */
+export function nextEligibleTime(task, { lastRunAt = null, now = Date.now() } = {}) {
+  let schedule;
+  let windows;
+  let notBefore = null;
+  let notAfter = null;
+  try {
+    if (task.schedule != null) schedule = parseSchedule(task.schedule);
+    if (task.activeHours != null) windows = parseActiveHours(task.activeHours);
+    if (task.notBefore != null) notBefore = parseTaskTime(task.notBefore);
+    if (task.notAfter != null) notAfter = parseTaskTime(task.notAfter, { endOfDay: true });
+  } catch (err) {
+    return { at: null, reason: err.message };
+  }
+
+  let t = now;
+  let reason = null;
+  const advance = (next, why) => {
+    if (next > t) {
+      t = next;
+      reason ??= why;
+    }
+  };
+
+  // Each constraint only moves t forward; stop once none does
+  for (let i = 0; i < 100; i++) {
+    const before = t;
+    if (notBefore != null) advance(notBefore, `not before ${new Date(notBefore).toLocaleString()}`);
+    if (schedule) {
+      const next = scheduleAllows(schedule, lastRunAt, t);
+      if (next == null) return { at: null, reason: `schedule "${task.schedule}" never fires` };
+      advance(next, `schedule "${task.schedule}"`);
+    }
+    if (windows) advance(nextActiveTime(windows, t), `active hours ${[].concat(task.activeHours).join(', ')}`);
+    if (notAfter != null && t >= notAfter) {
+      return { at: null, reason: `expired ${new Date(notAfter).toLocaleString()}` };
+    }
+    if (t === before) return { at: t, reason };
+  }
+  return { at: null, reason: 'no eligible time found' };
+}
+
+/**
+ * Earliest time at or after `t` that the schedule lets the task start.
+ */
+function scheduleAllows(schedule, lastRunAt, t) {
+  if (schedule.kind === 'interval') {
+    return lastRunAt == null ? t : Math.max(t, lastRunAt + schedule.ms);
+  }
+
+  // The first fire since the last run, counting only fires from today on
+  const d = new Date(t);
+  const startOfDay = new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime();
+  const after = lastRunAt == null ? startOfDay : Math.max(startOfDay, Math.floor(lastRunAt / 60_000) * 60_000 + 60_000);
+  const fire = nextCronTime(schedule, after);
+  if (fire == null) return null;
+  return fire <= t ? t : fire;
+}
+
+/**
+ * `t` if it falls inside one of the active ranges, else the next range start.
+ */
+function nextActiveTime(windows, t) {
+  const d = new Date(t);
+  const minute = d.getHours() * 60 + d.getMinutes();
+  const inside = windows.some(({ start, end }) => (start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end));
+  if (inside) return t;
+
+  const starts = windows.flatMap(({ start }) => [
+    new Date(d.getFullYear(), d.getMonth(), d.getDate(), 0, start).getTime(),
+    new Date(d.getFullYear(), d.getMonth(), d.getDate() + 1, 0, start).getTime(),
+  ]);
+  return Math.min(...starts.filter(s => s > t));
+}
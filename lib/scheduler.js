@@ -1,18 +1,41 @@
 import { setTimeout as sleep } from 'node:timers/promises';
-import { isQuietHours } from './threshold.js';
+import { watch, readFileSync } from 'node:fs';
+import { basename, dirname } from 'node:path';
+import { isQuietHours, describeQuiet, nextHeadroom } from './threshold.js';
 import * as logger from './logger.js';
 
+// Wait a little past a window reset so the API reports the new window
+const RESET_SLACK_MS = 60_000;
+
 /**
- * Run a check cycle function repeatedly on an interval.
+ * Run a check cycle function repeatedly.
+ *
+ * With `watch.adaptive` (the default), the loop sleeps until the earliest
+ * moment something can change (see planWake). Otherwise it wakes every
+ * `intervalMinutes`.
+ *
+ * `runCycle(config)` may return a cycle outcome ({ decision, rateLimits,
+ * ran, skipped, nextTask }) for planning the next wake-up.
+ *
+ * Options (all optional):
+ *   configPath / reloadConfig  Reload the config when the file changes or on
+ *                              SIGHUP; `reloadConfig()` returns the new config
+ *                              or throws, in which case the old one is kept
+ *   tasksPath / queueState     When the tasks file changes, `queueState()`
+ *                              returns { eligible, next }: the ids of the
+ *                              tasks eligible now, and the next task to
+ *                              become eligible ({ at, task } or null). A task
+ *                              that was not eligible before the change but
+ *                              is now triggers an immediate cycle
+ *
  * Uses 5-second sleep increments for responsive Ctrl+C on Windows.
  */
-export async function watchLoop(runCycle, config) {
+export async function watchLoop(runCycle, config, { tasksPath, configPath, reloadConfig, queueState } = {}) {
   const intervalMinutes = config.watch?.intervalMinutes ?? 10;
-  const quietStart = config.watch?.quietHoursStart ?? null;
-  const quietEnd = config.watch?.quietHoursEnd ?? null;
-  const intervalMs = intervalMinutes * 60_000;
 
-  logger.header(`Watch mode - checking every ${intervalMinutes} minutes`);
+  logger.header((config.watch?.adaptive ?? true)
+    ? `Watch mode - adaptive, checking every ${intervalMinutes} minutes by default`
+    : `Watch mode - checking every ${intervalMinutes} minutes`);
 
   // Handle graceful shutdown
   let running = true;
@@ -20,29 +43,212 @@ export async function watchLoop(runCycle, config) {
     logger.info('Shutting down...');
     running = false;
   };
+  let reloadRequested = false;
+  const hangup = () => {
+    logger.info('SIGHUP received, reloading config');
+    reloadRequested = true;
+  };
   process.on('SIGINT', shutdown);
   process.on('SIGTERM', shutdown);
+  process.on('SIGHUP', hangup);
+
+  const files = watchFiles([reloadConfig && configPath, queueState && tasksPath].filter(Boolean));
+
+  const applyConfig = () => {
+    try {
+      const fresh = reloadConfig();
+      const changed = Object.keys(fresh).filter(k => JSON.stringify(fresh[k]) !== JSON.stringify(config[k]));
+      config = fresh;
+      logger.info(changed.length > 0 ? `Config reloaded (changed: ${changed.join(', ')})` : 'Config reloaded (no changes)');
+      return changed.length > 0;
+    } catch (err) {
+      logger.error(`Invalid config, keeping the previous one: ${err.message}`);
+      return false;
+    }
+  };
 
+  let quietUntil;
   while (running) {
-    if (isQuietHours(quietStart, quietEnd)) {
-      logger.debug(`Quiet hours (${quietStart} - ${quietEnd}), skipping cycle`);
+    let wake = null;
+    const quiet = isQuietHours(config.watch);
+    if (quiet) {
+      // Announce each quiet period once, then skip cycles quietly
+      const log = quiet.until === quietUntil ? logger.debug : logger.info;
+      log(`Quiet hours: ${describeQuiet(quiet)}, skipping cycle`);
+      quietUntil = quiet.until;
+      if (quiet.until != null) wake = { at: quiet.until, reason: 'quiet hours end' };
     } else {
+      quietUntil = undefined;
       try {
-        await runCycle();
+        wake = planWake(await runCycle(config), config);
       } catch (err) {
         logger.error(`Cycle error: ${err.message}`);
       }
     }
 
-    // Sleep in 5s increments for responsive shutdown
-    const endTime = Date.now() + intervalMs;
-    while (running && Date.now() < endTime) {
-      const remaining = endTime - Date.now();
-      await sleep(Math.min(5_000, remaining));
+    const now = Date.now();
+    const interval = (config.watch?.intervalMinutes ?? 10) * 60_000;
+    const adaptive = config.watch?.adaptive ?? true;
+    let next = adaptive
+      ? clampWake(wake ?? { at: now + interval, reason: 'default interval' }, config.watch, now)
+      : { at: now + interval, reason: 'interval' };
+    if (adaptive) logNextCheck(next);
+
+    // Sleep in 5s increments for responsive shutdown; only changes made
+    // from here on count (the cycle itself writes the tasks file)
+    files.snapshot();
+    let eligibleBefore = queueState ? new Set(queueState().eligible) : null;
+    while (running && Date.now() < next.at) {
+      await sleep(Math.min(5_000, next.at - Date.now()));
+
+      const changed = files.changed();
+      if (reloadRequested || (configPath && changed.has(configPath))) {
+        reloadRequested = false;
+        if (applyConfig()) break;
+      }
+      if (tasksPath && changed.has(tasksPath)) {
+        const { eligible, next: task } = queueState();
+        const newly = eligible.filter(id => !eligibleBefore.has(id));
+        eligibleBefore = new Set(eligible);
+        if (newly.length > 0) {
+          logger.info(`${basename(tasksPath)} changed, task "${newly[0]}" is eligible, checking now`);
+          break;
+        }
+        if (task && adaptive && task.at < next.at) {
+          next = { at: Math.max(task.at, Date.now() + 1_000), reason: `task "${task.task.id}" becomes eligible` };
+          logNextCheck(next);
+        } else {
+          logger.debug(`${basename(tasksPath)} changed, no task newly eligible`);
+        }
+      }
     }
   }
 
+  files.close();
   process.off('SIGINT', shutdown);
   process.off('SIGTERM', shutdown);
+  process.off('SIGHUP', hangup);
   logger.info('Watch mode stopped.');
 }
+
+function logNextCheck(next) {
+  logger.info(`Next check at ${new Date(next.at).toLocaleTimeString()} (${formatWait(next.at - Date.now())}): ${next.reason}`);
+}
+
+/**
+ * Decide when the next cycle is worth running, from the last cycle's
+ * outcome. Returns { at, reason }:
+ *
+ * - blocked by thresholds: when the blocking windows reset or their pace
+ *   ceiling catches up, or on a 429 when its reset headers say (see
+ *   nextHeadroom)
+ * - nothing eligible: when the next task's schedule, time window or retry
+ *   backoff allows it
+ * - headroom within `fastPollMargin` of the threshold: `minIntervalMinutes`
+ * - otherwise `intervalMinutes`
+ */
+export function planWake(outcome, config, now = Date.now()) {
+  const watchConfig = config.watch ?? {};
+  const interval = { at: now + (watchConfig.intervalMinutes ?? 10) * 60_000, reason: 'default interval' };
+  const decision = outcome?.decision;
+  if (!decision) return interval;
+
+  const margin = watchConfig.fastPollMargin ?? 0.05;
+  const near = decision.ceiling != null && decision.utilization != null
+    && Math.abs(decision.ceiling - decision.utilization) <= margin;
+  const fast = {
+    at: now + (watchConfig.minIntervalMinutes ?? 2) * 60_000,
+    reason: `window "${decision.bindingWindow}" within ${(margin * 100).toFixed(0)}% of its limit`,
+  };
+
+  if (!decision.shouldRun) {
+    const opens = nextHeadroom({ rateLimits: outcome.rateLimits, config, now });
+    if (opens) {
+      return { at: opens.at + RESET_SLACK_MS, reason: `window "${opens.window}" has headroom again` };
+    }
+    return near ? fast : interval;
+  }
+
+  if (!outcome.ran && !outcome.skipped) {
+    if (outcome.nextTask) {
+      return { at: outcome.nextTask.at, reason: `task "${outcome.nextTask.task.id}" becomes eligible` };
+    }
+    return { at: Infinity, reason: 'no task can run until tasks.json changes' };
+  }
+
+  return near ? fast : interval;
+}
+
+/**
+ * Keep a wake-up time within [minIntervalMinutes, maxIntervalMinutes] from now.
+ */
+function clampWake(wake, watchConfig = {}, now = Date.now()) {
+  const interval = (watchConfig.intervalMinutes ?? 10) * 60_000;
+  const min = Math.min((watchConfig.minIntervalMinutes ?? 2) * 60_000, interval);
+  const max = Math.max((watchConfig.maxIntervalMinutes ?? 60) * 60_000, interval);
+  if (wake.at < now + min) return { at: now + min, reason: wake.reason };
+  if (wake.at > now + max) return { at: now + max, reason: `${wake.reason} (capped at maxIntervalMinutes)` };
+  return wake;
+}
+
+/**
+ * Watch files for content changes. The directories are watched rather than
+ * the files, since atomic writes replace a file (which ends a file watch).
+ *
+ * Returns { snapshot(), changed(), close() }: `changed()` returns the set of
+ * paths whose content differs from the last snapshot() and takes a new one.
+ */
+function watchFiles(paths) {
+  const seen = new Map();
+  const dirty = new Set();
+  const watchers = [];
+
+  for (const dir of new Set(paths.map(p => dirname(p)))) {
+    const inDir = paths.filter(p => dirname(p) === dir);
+    try {
+      const watcher = watch(dir, (event, file) => {
+        for (const path of inDir) {
+          if (!file || file === basename(path)) dirty.add(path);
+        }
+      });
+      watcher.on('error', () => watcher.close());
+      watchers.push(watcher);
+    } catch {
+      // File watching unavailable: changes are picked up by the next cycle
+    }
+  }
+
+  return {
+    snapshot() {
+      dirty.clear();
+      for (const path of paths) seen.set(path, readOrNull(path));
+    },
+    changed() {
+      const changed = new Set();
+      for (const path of dirty) {
+        const content = readOrNull(path);
+        if (content !== seen.get(path)) changed.add(path);
+        seen.set(path, content);
+      }
+      dirty.clear();
+      return changed;
+    },
+    close() {
+      for (const watcher of watchers) watcher.close();
+    },
+  };
+}
+
+function readOrNull(path) {
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function formatWait(ms) {
+  const totalMin = Math.round(ms / 60_000);
+  if (totalMin < 60) return `in ${totalMin}m`;
+  return `in ${Math.floor(totalMin / 60)}h ${totalMin % 60}m`;
+}
@@ -0,0 +1,167 @@
+import { readFileSync } from 'node:fs';
+import { parseRateLimits } from './get-rate-limits.mjs';
+import { WINDOW_LENGTHS } from './threshold.js';
+import * as logger from './logger.js';
+
+const EXECUTOR_DEFAULTS = {
+  success: true,
+  costUSD: 0,
+  durationMinutes: 10,
+  failEvery: 0,
+  errorClass: 'unknown',
+  usage: {},
+  tokens: null,
+};
+
+/**
+ * Load a simulation spec and build an offline environment for runCycle.
+ *
+ * The spec provides rate limits either as recorded header fixtures
+ * (one per cycle) or as a scripted utilization curve per window, plus a fake
+ * executor with configurable cost, duration and quota usage. Time is
+ * virtual: each cycle advances the clock by stepMinutes.
+ *
+ * Returns { cycles, now, advance, fetchRateLimits, executeTask, summary }.
+ */
+export function loadSimulation(simPath) {
+  const spec = JSON.parse(readFileSync(simPath, 'utf-8'));
+  return createSimulation(spec);
+}
+
+export function createSimulation(spec) {
+  if (!spec.fixtures && !spec.curve) {
+    throw new Error('Simulation needs either "fixtures" or "curve"');
+  }
+
+  const startMs = spec.start ? Date.parse(spec.start) : Date.now();
+  if (Number.isNaN(startMs)) {
+    throw new Error(`Invalid simulation start: ${spec.start}`);
+  }
+  const stepMs = (spec.stepMinutes ?? 10) * 60_000;
+  const cycles = spec.cycles ?? spec.fixtures?.length ?? longestCurve(spec.curve) ?? Math.ceil(86_400_000 / stepMs);
+  const executor = { ...EXECUTOR_DEFAULTS, ...spec.executor };
+
+  let step = 0;
+  let clock = startMs;
+
+  // Quota burned by simulated tasks, per window, cleared when the window resets
+  const burned = {};
+  const resets = {};
+  const stats = { probes: 0, runs: 0, failures: 0, costUSD: 0, last: null };
+
+  const now = () => clock;
+
+  const advance = () => {
+    step++;
+    clock += stepMs;
+  };
+
+  /**
+   * Reset time (epoch seconds) of a window, rolling forward once the
+   * previous reset has passed. Windows are aligned to the simulation start.
+   */
+  const windowReset = (name) => {
+    const lengthMs = (WINDOW_LENGTHS[name] ?? 0) * 1000;
+    if (!lengthMs) return null;
+    if (resets[name] == null) resets[name] = startMs + lengthMs;
+    while (clock >= resets[name]) {
+      resets[name] += lengthMs;
+      burned[name] = 0;
+    }
+    return resets[name] / 1000;
+  };
+
+  const curveValue = (name, def) => {
+    if (Array.isArray(def)) {
+      return def[Math.min(step, def.length - 1)] ?? 0;
+    }
+    // { base, perHour }: steady interactive use since the window started
+    const lengthMs = (WINDOW_LENGTHS[name] ?? 0) * 1000;
+    const reset = windowReset(name);
+    const windowStart = reset ? reset * 1000 - lengthMs : startMs;
+    const hours = (clock - windowStart) / 3_600_000;
+    return (def.base ?? 0) + (def.perHour ?? 0) * hours;
+  };
+
+  const fromCurve = () => {
+    const windows = {};
+    for (const [name, def] of Object.entries(spec.curve)) {
+      const reset = windowReset(name);
+      const utilization = Math.min(1, Math.max(0, curveValue(name, def) + (burned[name] ?? 0)));
+      windows[name] = {
+        utilization,
+        status: utilization >= 1 ? 'rejected' : 'allowed',
+        ...(reset ? { reset } : {}),
+      };
+    }
+    const [representativeClaim] = Object.entries(windows)
+      .sort(([, a], [, b]) => b.utilization - a.utilization)[0] ?? [];
+    return {
+      windows,
+      meta: { overallStatus: Object.values(windows).every(w => w.status === 'allowed') ? 'allowed' : 'rejected', representativeClaim },
+      raw: {},
+      statusCode: 200,
+    };
+  };
+
+  const fromFixture = () => {
+    const fixture = spec.fixtures[Math.min(step, spec.fixtures.length - 1)];
+    const statusCode = fixture.statusCode ?? 200;
+    const rateLimits = parseRateLimits(fixture.headers ?? {});
+    if (statusCode === 429) rateLimits.meta.overallStatus = 'RATE LIMITED';
+    return { ...rateLimits, statusCode };
+  };
+
+  const fetchRateLimits = async () => {
+    stats.probes++;
+    const result = spec.curve ? fromCurve() : fromFixture();
+    stats.last = result;
+    return { ...result, subscription: 'simulated', tier: null };
+  };
+
+  const executeTask = async (task, config, options = {}) => {
+    const opts = { ...executor, ...executor.tasks?.[task.id] };
+    const model = options.model || task.models?.[0] || task.model || config.execution?.model || null;
+
+    stats.runs++;
+    const success = opts.success && !(opts.failEvery > 0 && stats.runs % opts.failEvery === 0);
+    const durationMs = opts.durationMinutes * 60_000;
+
+    for (const [name, delta] of Object.entries(opts.usage)) {
+      windowReset(name);
+      burned[name] = (burned[name] ?? 0) + delta;
+    }
+
+    logger.info(`[${task.id}] Simulated run (${opts.durationMinutes}m, $${opts.costUSD})`);
+
+    if (!success) {
+      stats.failures++;
+      return { success: false, result: null, costUSD: null, durationMs, error: `Simulated ${opts.errorClass} failure`, errorClass: opts.errorClass, model, tokens: null };
+    }
+    stats.costUSD += opts.costUSD;
+    return { success: true, result: { result: 'simulated' }, costUSD: opts.costUSD, durationMs, error: null, errorClass: null, model, tokens: opts.tokens };
+  };
+
+  const summary = () => {
+    const windows = Object.entries(stats.last?.windows ?? {})
+      .map(([name, w]) => `${name} ${((w.utilization ?? 0) * 100).toFixed(1)}%`)
+      .join(', ');
+    return {
+      cycles,
+      probes: stats.probes,
+      runs: stats.runs,
+      failures: stats.failures,
+      costUSD: stats.costUSD,
+      finalUtilization: windows || '-',
+      endTime: new Date(clock).toISOString(),
+    };
+  };
+
+  return { cycles, now, advance, fetchRateLimits, executeTask, summary };
+}
+
+function longestCurve(curve) {
+  if (!curve) return null;
+  const lengths = Object.values(curve).filter(Array.isArray).map(a => a.length);
+  return lengths.length > 0 ? Math.max(...lengths) : null;
+}
@@ -0,0 +1,188 @@
+import { openSync, closeSync, readFileSync, writeFileSync, linkSync, renameSync, rmSync, unlinkSync, statSync } from 'node:fs';
+import { hostname } from 'node:os';
+import { randomUUID } from 'node:crypto';
+
+/**
+ * Safe writes for the JSON state files (tasks.json, history.json) that
+ * several burn processes and humans may touch at the same time.
+ */
+
+const LOCK_TIMEOUT_MS = 10_000;
+const LOCK_STALE_MS = 60_000;
+const LOCK_RETRY_MS = 50;
+// A takeover guard older than this was left by a process that died mid-takeover
+const TAKEOVER_STALE_MS = 10_000;
+
+/**
+ * Write a file atomically: write a temp file next to it, then rename it over
+ * the original, so readers never see a half-written file.
+ */
+export function writeFileAtomic(path, content) {
+  const tmpPath = `${path}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    writeFileSync(tmpPath, content, 'utf-8');
+    renameSync(tmpPath, path);
+  } catch (err) {
+    try { unlinkSync(tmpPath); } catch { /* ignore */ }
+    throw err;
+  }
+}
+
+/**
+ * Write JSON atomically in the repo's file format (2-space indent, trailing
+ * newline).
+ */
+export function writeJsonAtomic(path, data) {
+  writeFileAtomic(path, JSON.stringify(data, null, 2) + '\n');
+}
+
+/**
+ * Read and parse a JSON file that a person may be in the middle of editing:
+ * a parse error is retried a few times before it is thrown. Other errors
+ * (e.g. ENOENT) are thrown at once.
+ */
+export function readJsonRetrying(path, { attempts = 5, delayMs = 500 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (err) {
+      if (!(err instanceof SyntaxError) || attempt >= attempts) throw err;
+      sleepSync(delayMs);
+    }
+  }
+}
+
+/**
+ * Where a JSON.parse error happened, as " (line L, column C)", from the
+ * "at position N" in its message.
+ */
+export function jsonErrorLocation(text, err) {
+  const pos = Number(err.message.match(/at position (\d+)/)?.[1]);
+  if (Number.isNaN(pos)) return '';
+  const before = text.slice(0, pos).split('\n');
+  return ` (line ${before.length}, column ${before[before.length - 1].length + 1})`;
+}
+
+/**
+ * Run `fn` while holding an exclusive lock on `path` (a `<path>.lock` file).
+ * Waits up to 10s for another holder; a lock whose owner process is gone, or
+ * that is older than a minute, is taken over. Returns what `fn` returns.
+ *
+ * As with the instance lease (see instance.js), the lock is created as a hard
+ * link to a fully written temp file, a stale lock is replaced by renaming one
+ * over it under a `<path>.lock.takeover` guard, and a lock is only removed by
+ * the holder whose contents it still has.
+ */
+export function withFileLock(path, fn) {
+  const lockPath = `${path}.lock`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  const content = JSON.stringify({ pid: process.pid, host: hostname(), since: new Date().toISOString(), id: randomUUID() });
+  const tmpPath = `${lockPath}.${process.pid}.tmp`;
+
+  try {
+    for (;;) {
+      writeFileSync(tmpPath, content);
+      try {
+        linkSync(tmpPath, lockPath);
+        break;
+      } catch (err) {
+        if (err.code !== 'EEXIST') throw err;
+      }
+      const held = readLock(lockPath);
+      if (held != null && isStaleLock(lockPath, held) && takeOverLock(lockPath, tmpPath, held, content)) break;
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock ${lockPath}`);
+      }
+      sleepSync(LOCK_RETRY_MS);
+    }
+  } finally {
+    rmSync(tmpPath, { force: true });
+  }
+
+  try {
+    return fn();
+  } finally {
+    // Only remove the lock if it is still ours (it may have been taken over)
+    if (readLock(lockPath) === content) {
+      try { unlinkSync(lockPath); } catch { /* ignore */ }
+    }
+  }
+}
+
+/**
+ * Replace the stale lock whose contents are `stale` with ours (written at
+ * `tmpPath`). Returns true if the lock is ours afterwards.
+ */
+function takeOverLock(lockPath, tmpPath, stale, content) {
+  const guardPath = `${lockPath}.takeover`;
+  try {
+    closeSync(openSync(guardPath, 'wx'));
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+    if (ageMs(guardPath) > TAKEOVER_STALE_MS) rmSync(guardPath, { force: true });
+    return false;
+  }
+
+  try {
+    // Someone else may have taken over or released it since we looked
+    if (readLock(lockPath) !== stale) return false;
+    renameSync(tmpPath, lockPath);
+    return readLock(lockPath) === content;
+  } finally {
+    rmSync(guardPath, { force: true });
+  }
+}
+
+function readLock(lockPath) {
+  try {
+    return readFileSync(lockPath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+function ageMs(path) {
+  try {
+    return Date.now() - statSync(path).mtimeMs;
+  } catch {
+    return Infinity;
+  }
+}
+
+/**
+ * Whether the process described by `owner` ({ pid, host }) is still alive.
+ * Processes on other hosts can't be checked and count as alive.
+ */
+export function processAlive(owner) {
+  if (!owner?.pid) return false;
+  if (owner.host && owner.host !== hostname()) return true;
+  try {
+    process.kill(owner.pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: alive, but owned by another user
+    return err.code === 'EPERM';
+  }
+}
+
+/**
+ * A lock is stale when its owner process on this host no longer exists, or
+ * when it is older than LOCK_STALE_MS (locks are only held for a single
+ * read-modify-write).
+ */
+function isStaleLock(lockPath, content) {
+  if (ageMs(lockPath) > LOCK_STALE_MS) return true;
+  try {
+    return !processAlive(JSON.parse(content));
+  } catch {
+    // Not ours to judge (e.g. written by an older version): wait for it to age
+    return false;
+  }
+}
+
+/**
+ * Block for `ms` milliseconds (for short waits inside synchronous file code).
+ */
+export function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
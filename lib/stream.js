@@ -0,0 +1,119 @@
+import { modelFamily } from './threshold.js';
+import * as logger from './logger.js';
+
+/**
+ * Approximate API prices in USD per million tokens, used to estimate the
+ * running cost while a streamed run is in progress (the CLI only reports the
+ * real cost in its final result event). Overridable via
+ * config.execution.pricing.
+ */
+export const DEFAULT_PRICING = {
+  opus: { input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+  sonnet: { input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+  haiku: { input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+};
+
+/**
+ * Follow a `claude -p --output-format stream-json` run event by event.
+ *
+ * Logs tool calls with the current turn count and running token / cost
+ * totals, and aborts the run when task.maxTurns or task.maxCostUSD is
+ * crossed. Feed it stdout lines via onLine(line, control), where
+ * control.abort(reason) stops the process.
+ */
+export function createStreamMonitor(task, { model, config = {} } = {}) {
+  const pricing = { ...DEFAULT_PRICING, ...config.execution?.pricing };
+  const tokens = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+  const transcript = [];
+  let turns = 0;
+  let costUSD = 0;
+  // One assistant message arrives as one event per content block, each
+  // repeating its id and usage: count each message once
+  const seenMessages = new Set();
+  let family = modelFamily(model, config);
+  let finalResult = null;
+  let sessionId = null;
+  let aborted = false;
+
+  const addUsage = (usage) => {
+    if (!usage) return;
+    const delta = {
+      input: usage.input_tokens ?? 0,
+      output: usage.output_tokens ?? 0,
+      cacheRead: usage.cache_read_input_tokens ?? 0,
+      cacheWrite: usage.cache_creation_input_tokens ?? 0,
+    };
+    const price = pricing[family] ?? pricing.sonnet;
+    for (const [k, n] of Object.entries(delta)) {
+      tokens[k] += n;
+      costUSD += (n / 1_000_000) * (price[k] ?? 0);
+    }
+  };
+
+  const totalTokens = () => tokens.input + tokens.output + tokens.cacheRead + tokens.cacheWrite;
+  const progress = () => `turn ${turns} · ${(totalTokens() / 1000).toFixed(1)}k tok · ≈$${costUSD.toFixed(2)}`;
+
+  const checkLimits = (control) => {
+    if (aborted) return;
+    if (task.maxTurns && turns > task.maxTurns) {
+      aborted = true;
+      control.abort(`turn limit of ${task.maxTurns} exceeded`);
+    } else if (task.maxCostUSD && costUSD > task.maxCostUSD) {
+      aborted = true;
+      control.abort(`estimated cost ≈$${costUSD.toFixed(2)} exceeded limit of $${task.maxCostUSD}`);
+    }
+  };
+
+  const onLine = (line, control) => {
+    if (!line.trim()) return;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      transcript.push(line);
+      return;
+    }
+
+    if (event.session_id) sessionId = event.session_id;
+
+    if (event.type === 'system' && event.subtype === 'init') {
+      if (event.model) family = modelFamily(event.model, config) ?? family;
+      logger.debug(`[${task.id}] Session ${event.session_id ?? '?'} started (${event.model ?? 'default model'})`);
+    } else if (event.type === 'assistant') {
+      const messageId = event.message?.id;
+      if (!messageId || !seenMessages.has(messageId)) {
+        if (messageId) seenMessages.add(messageId);
+        turns++;
+        addUsage(event.message?.usage);
+      }
+      for (const block of event.message?.content || []) {
+        if (block.type === 'tool_use') {
+          const detail = toolDetail(block);
+          transcript.push(`[tool] ${block.name}${detail ? ` ${detail}` : ''}`);
+          logger.info(`[${task.id}] ${progress()} · ${block.name}${detail ? ` ${detail}` : ''}`);
+        } else if (block.type === 'text' && block.text) {
+          transcript.push(block.text);
+          logger.debug(`[${task.id}] ${progress()} · ${block.text.slice(0, 120).replace(/\s+/g, ' ')}`);
+        }
+      }
+      checkLimits(control);
+    } else if (event.type === 'result') {
+      finalResult = event;
+    }
+  };
+
+  return {
+    onLine,
+    /** The CLI's final result event (same shape as --output-format json), or null. */
+    result: () => finalResult,
+    /** Readable text of what the run produced so far. */
+    transcript: () => transcript.join('\n'),
+    stats: () => ({ turns, tokens: { ...tokens }, costUSD, sessionId }),
+  };
+}
+
+function toolDetail(block) {
+  const input = block.input || {};
+  const detail = input.command ?? input.file_path ?? input.pattern ?? input.path ?? input.url ?? '';
+  return String(detail).replace(/\s+/g, ' ').slice(0, 80);
+}
@@ -1,52 +1,295 @@
-import { readFileSync, writeFileSync } from 'node:fs';
+import { readFileSync } from 'node:fs';
+import { resolve, sep } from 'node:path';
+import { routeModel, estimateTask, checkFit } from './threshold.js';
+import { withFileLock, writeJsonAtomic, readJsonRetrying, jsonErrorLocation } from './store.js';
+import { nextEligibleTime } from './schedule.js';
 import * as logger from './logger.js';
 
+// Content of each tasks file when its dependency problems were last logged
+const reportedContent = new Map();
+
 /**
- * Load tasks from the given path.
+ * Load tasks from the given path. Dependency problems are logged once per
+ * change of the file's contents, not on every load.
  * Returns { tasks: [] } on error or missing file.
  */
 export function loadTasks(tasksPath) {
+  let raw;
   try {
-    const raw = readFileSync(tasksPath, 'utf-8');
+    raw = readFileSync(tasksPath, 'utf-8');
     const data = JSON.parse(raw);
+    if (reportedContent.get(tasksPath) !== raw) {
+      reportedContent.set(tasksPath, raw);
+      reportDependencyProblems(data);
+    }
     return data;
   } catch (err) {
     if (err.code === 'ENOENT') {
       logger.warn(`Tasks file not found: ${tasksPath}`);
     } else {
-      logger.error(`Failed to load tasks: ${err.message}`);
+      const where = err instanceof SyntaxError ? jsonErrorLocation(raw, err) : '';
+      logger.error(`Failed to load tasks, queue is empty: ${err.message}${where} (run \`burn validate\` for details)`);
     }
     return { tasks: [] };
   }
 }
 
 /**
- * Save tasks back to disk.
+ * Save tasks back to disk (locked, atomic). This overwrites the whole file;
+ * to change a task while others may be editing the file, use
+ * saveTaskChanges.
  */
 export function saveTasks(tasksPath, data) {
-  writeFileSync(tasksPath, JSON.stringify(data, null, 2) + '\n', 'utf-8');
+  withFileLock(tasksPath, () => writeJsonAtomic(tasksPath, data));
+}
+
+/**
+ * Apply field changes to one task on disk without clobbering concurrent
+ * edits: under the file lock, tasks.json is reloaded, only `changes` are
+ * applied to that task, and the result is written atomically.
+ *
+ * With `expectStatus`, `changes` are only applied if the task's status on
+ * disk is still the expected one; if someone else (a human, or the task's own
+ * prompt) changed it meanwhile, their edit wins and only `otherwise` (e.g.
+ * clearing the run's owner) is applied, if given.
+ *
+ * The in-memory `data` is refreshed from the merged file, so the caller sees
+ * other edits too. Returns the task's status after the merge, or null if the
+ * task is no longer in the file (then nothing is written). Throws if the
+ * file stays unparseable (e.g. a half-finished edit) over a few retries.
+ */
+export function saveTaskChanges(tasksPath, data, taskId, changes, { expectStatus, otherwise } = {}) {
+  return withFileLock(tasksPath, () => {
+    let fresh;
+    try {
+      fresh = readJsonRetrying(tasksPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      fresh = data;
+    }
+
+    const onDisk = (fresh.tasks || []).find(t => t.id === taskId);
+    if (!onDisk) return null;
+    const apply = expectStatus && onDisk.status !== expectStatus ? otherwise : changes;
+    if (apply) {
+      updateTask(fresh, taskId, apply);
+      writeJsonAtomic(tasksPath, fresh);
+    }
+
+    if (fresh !== data) {
+      for (const key of Object.keys(data)) delete data[key];
+      Object.assign(data, fresh);
+    }
+    return (fresh.tasks || []).find(t => t.id === taskId)?.status ?? null;
+  });
+}
+
+/**
+ * Find dependency cycles among tasks. Returns a list of cycles, each an
+ * array of task ids in dependency order with the first id repeated at the
+ * end (e.g. ["a", "b", "a"]).
+ */
+export function findDependencyCycles(tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const cycles = [];
+
+  const visit = (id, path) => {
+    if (state.get(id) === 'done') return;
+    if (state.get(id) === 'visiting') {
+      cycles.push([...path.slice(path.indexOf(id)), id]);
+      return;
+    }
+    state.set(id, 'visiting');
+    for (const dep of byId.get(id)?.dependsOn || []) {
+      if (byId.has(dep)) visit(dep, [...path, id]);
+    }
+    state.set(id, 'done');
+  };
+
+  for (const t of tasks) visit(t.id, []);
+  return cycles;
+}
+
+/**
+ * Log dependency cycles and references to unknown tasks.
+ */
+function reportDependencyProblems(data) {
+  const tasks = data.tasks || [];
+  const ids = new Set(tasks.map(t => t.id));
+
+  for (const cycle of findDependencyCycles(tasks)) {
+    logger.error(`Dependency cycle in tasks: ${cycle.join(' -> ')}`);
+  }
+  for (const t of tasks) {
+    for (const dep of t.dependsOn || []) {
+      if (!ids.has(dep)) logger.error(`Task "${t.id}" depends on unknown task "${dep}"`);
+    }
+  }
+}
+
+/**
+ * Check whether a task's dependencies allow it to run.
+ * Returns { ready, reason } where reason explains why it is blocked.
+ */
+export function dependencyState(task, data) {
+  const deps = task.dependsOn || [];
+  if (deps.length === 0) return { ready: true, reason: null };
+
+  const tasks = data.tasks || [];
+  const byId = new Map(tasks.map(t => [t.id, t]));
+
+  const cycle = findDependencyCycles(tasks).find(c => c.includes(task.id));
+  if (cycle) {
+    return { ready: false, reason: `dependency cycle ${cycle.join(' -> ')}` };
+  }
+
+  const waiting = [];
+  for (const id of deps) {
+    const dep = byId.get(id);
+    if (!dep) return { ready: false, reason: `depends on unknown task "${id}"` };
+    if (dep.status === 'failed') return { ready: false, reason: `dependency "${id}" failed` };
+    if (dep.status !== 'done') waiting.push(`${id} (${dep.status})`);
+  }
+
+  if (waiting.length > 0) {
+    return { ready: false, reason: `waiting for ${waiting.join(', ')}` };
+  }
+  return { ready: true, reason: null };
+}
+
+/**
+ * Resolve the directory a task runs in. Tasks without a projectDir run in
+ * the burner's own working directory.
+ */
+export function taskWorkDir(task) {
+  return resolve(task.projectDir || process.cwd());
+}
+
+/**
+ * Whether a task in `dir` would work on files a task in one of `busyDirs`
+ * is changing: the same directory, or one nested inside the other.
+ */
+function overlapsBusyDir(dir, busyDirs) {
+  for (const busy of busyDirs ?? []) {
+    if (dir === busy || dir.startsWith(busy + sep) || busy.startsWith(dir + sep)) return true;
+  }
+  return false;
 }
 
 /**
- * Pick the highest-priority task with status "on".
+ * Pick the highest-priority task with status "on" whose dependencies
+ * (dependsOn) are all done, whose retry backoff (nextAttemptAt) has passed
+ * and whose time controls (schedule, notBefore, notAfter, activeHours) allow
+ * it to start now.
  * Per-task maxBudgetUSD is still respected as a safety cap via claude --max-budget-usd.
+ *
+ * Options:
+ *   excludeIds   Set of task ids to skip (e.g. already run this cycle)
+ *   busyDirs     Set of resolved project dirs that already have a task running;
+ *                tasks in these dirs, or in dirs nested with them, are skipped
+ *   decision     Threshold decision; tasks with no model allowed by it are skipped
+ *   config       Config used to resolve default models
+ *   lastRuns     { [taskId]: ms } start of each task's last successful run,
+ *                for `schedule` (see getLastRunTimes)
+ *   now          Current time in ms (default: Date.now())
+ *   fit          { rateLimits, stats, now }: skip tasks whose estimated duration
+ *                or quota cost does not fit the remaining capacity
+ *
  * Returns null if no suitable task is found.
  */
-export function pickTask(data) {
-  const candidates = (data.tasks || [])
-    .filter(t => t.status === 'on')
+export function pickTask(data, options = {}) {
+  return explainPick(data, options).task;
+}
+
+/**
+ * Like pickTask, but also returns the higher-priority tasks that were
+ * skipped because they don't fit: { task, skipped: [{ task, reason }] }.
+ */
+export function explainPick(data, { excludeIds, busyDirs, decision, config, fit, lastRuns, now = Date.now() } = {}) {
+  const candidates = eligibleTasks(data, { excludeIds, lastRuns, now })
+    .filter(t => !overlapsBusyDir(taskWorkDir(t), busyDirs))
+    .filter(t => routeModel(t, decision, config) !== undefined)
     .sort((a, b) => (a.priority ?? 999) - (b.priority ?? 999));
 
-  return candidates[0] || null;
+  const skipped = [];
+  for (const task of candidates) {
+    if (fit) {
+      const estimate = estimateTask(task, fit.stats?.[task.id], config);
+      const model = routeModel(task, decision, config);
+      const reason = checkFit(estimate, { rateLimits: fit.rateLimits, decision, model, config, now: fit.now });
+      if (reason) {
+        skipped.push({ task, reason: `${reason} (${estimate.source} estimate)` });
+        continue;
+      }
+    }
+    return { task, skipped };
+  }
+
+  return { task: null, skipped };
+}
+
+/**
+ * The tasks that may start now, before capacity and model routing are
+ * considered: enabled, dependencies done, allowed by their time controls and
+ * retry backoff, and not in `excludeIds`.
+ */
+export function eligibleTasks(data, { excludeIds, lastRuns, now = Date.now() } = {}) {
+  return (data.tasks || [])
+    .filter(t => t.status === 'on')
+    .filter(t => taskEligibleAt(t, { lastRunAt: lastRuns?.[t.id], now }).at === now)
+    .filter(t => dependencyState(t, data).ready)
+    .filter(t => !excludeIds?.has(t.id));
+}
+
+/**
+ * When a task may next start as far as time is concerned: its time controls
+ * (see nextEligibleTime) and its retry backoff (nextAttemptAt). Returns
+ * { at, reason } like nextEligibleTime; reason is "retry backoff" when only
+ * the backoff holds it back.
+ */
+export function taskEligibleAt(task, { lastRunAt, now = Date.now() } = {}) {
+  const eligible = nextEligibleTime(task, { lastRunAt, now });
+  const retryAt = task.nextAttemptAt ? Date.parse(task.nextAttemptAt) : null;
+  if (eligible.at == null || !(retryAt > eligible.at)) return eligible;
+
+  const { at, reason } = nextEligibleTime(task, { lastRunAt, now: retryAt });
+  return { at, reason: at === retryAt ? 'retry backoff' : reason };
+}
+
+/**
+ * The next time an enabled task with its dependencies met becomes eligible
+ * by time: { at, task }, or null if none will. Tasks eligible already are
+ * ignored (they are waiting on something else, e.g. capacity), as are
+ * tasks in `excludeIds`.
+ */
+export function nextTaskTime(data, { excludeIds, lastRuns, now = Date.now() } = {}) {
+  let next = null;
+  for (const task of (data.tasks || []).filter(t => t.status === 'on' && !excludeIds?.has(t.id))) {
+    if (!dependencyState(task, data).ready) continue;
+    const { at } = taskEligibleAt(task, { lastRunAt: lastRuns?.[task.id], now });
+    if (at != null && at > now && (!next || at < next.at)) next = { at, task };
+  }
+  return next;
 }
 
 /**
  * Update a task's status in the data object.
  */
 export function updateTaskStatus(data, taskId, status) {
+  updateTask(data, taskId, { status });
+}
+
+/**
+ * Apply field changes to a task in the data object. A value of undefined
+ * removes the field (e.g. clearing retry state).
+ */
+export function updateTask(data, taskId, changes) {
   const task = (data.tasks || []).find(t => t.id === taskId);
-  if (task) {
-    task.status = status;
+  if (!task) return;
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === undefined) delete task[key];
+    else task[key] = value;
   }
 }
 
@@ -59,7 +302,63 @@ export function getTaskSummary(data) {
     name: t.name,
     status: t.status,
     priority: t.priority ?? '-',
+    model: t.models?.length ? t.models.join(' > ') : (t.model || '-'),
     budget: t.maxBudgetUSD ? `$${t.maxBudgetUSD.toFixed(2)}` : '-',
     repeat: t.repeat ? 'yes' : 'no',
+    retry: t.attempts ? `#${t.attempts}${t.nextAttemptAt ? ` at ${new Date(t.nextAttemptAt).toLocaleTimeString()}` : ''}` : '-',
   }));
 }
+
+/**
+ * Build the queue as a dependency forest for display.
+ *
+ * Tasks without (known) dependencies are roots; every task is listed under
+ * each task it depends on. Returns rows of { depth, task, state, reason,
+ * repeated }, where state is "ready", "blocked" or the task's status, and
+ * repeated marks a task already shown elsewhere in the tree.
+ */
+export function getTaskTree(data) {
+  const tasks = data.tasks || [];
+  const ids = new Set(tasks.map(t => t.id));
+  const children = new Map();
+  for (const t of tasks) {
+    for (const dep of t.dependsOn || []) {
+      if (!children.has(dep)) children.set(dep, []);
+      children.get(dep).push(t);
+    }
+  }
+
+  const byPriority = (a, b) => (a.priority ?? 999) - (b.priority ?? 999);
+  const rows = [];
+  const shown = new Set();
+
+  const walk = (task, depth, path) => {
+    const repeated = shown.has(task.id);
+    shown.add(task.id);
+
+    let state = task.status;
+    let reason = null;
+    if (task.status === 'on') {
+      const deps = dependencyState(task, data);
+      state = deps.ready ? 'ready' : 'blocked';
+      reason = deps.reason;
+    }
+    rows.push({ depth, task, state, reason, repeated });
+
+    if (repeated || path.has(task.id)) return;
+    const next = new Set(path).add(task.id);
+    for (const child of (children.get(task.id) || []).sort(byPriority)) {
+      walk(child, depth + 1, next);
+    }
+  };
+
+  const roots = tasks.filter(t => !(t.dependsOn || []).some(d => ids.has(d))).sort(byPriority);
+  for (const root of roots) walk(root, 0, new Set());
+
+  // Tasks only reachable through a cycle have no root
+  for (const t of [...tasks].sort(byPriority)) {
+    if (!shown.has(t.id)) walk(t, 0, new Set());
+  }
+
+  return rows;
+}
@@ -1,29 +1,119 @@
+import { parseActiveHours } from './schedule.js';
+
+/**
+ * Nominal length of each rolling window in seconds. Used by reset-aware
+ * policies to work out how far into a window we are.
+ */
+export const WINDOW_LENGTHS = {
+  '5h': 5 * 3600,
+  '7d': 7 * 86400,
+  '7d_sonnet': 7 * 86400,
+};
+
+/**
+ * Window that tracks paid usage beyond the subscription quota. It is never
+ * compared against a utilization threshold; the overage guard handles it.
+ */
+export const OVERAGE_WINDOW = 'overage';
+
+const PACE_DEFAULTS = {
+  startCeiling: 0.50,
+  endCeiling: 0.98,
+  curve: 2,
+};
+
+/**
+ * Threshold policies. Each receives { rateLimits, windows, thresholds, now }
+ * after the common pre-checks have passed and returns a decision.
+ */
+const POLICIES = {
+  static: evaluateStatic,
+  pace: evaluatePace,
+};
+
+/**
+ * Rate limit windows each model family draws from. A model routed to a
+ * family only needs these windows to be under threshold. Overridable via
+ * config.execution.modelWindows.
+ */
+export const MODEL_WINDOWS = {
+  opus: ['5h', '7d'],
+  sonnet: ['5h', '7d_sonnet'],
+  haiku: ['5h', '7d'],
+};
+
 /**
  * Pure decision engine. Evaluates whether conditions allow running a task
  * based on rate limit utilization data from the API.
  *
- * Returns { shouldRun, reason, bindingWindow, utilization }.
+ * The threshold policy is selected with config.thresholds.policy
+ * ("static" by default, or "pace").
+ *
+ * If the windows as a whole are over threshold but the windows of some model
+ * family still have headroom, the decision is "run, but only with" those
+ * families, listed in `models`. `models` is null when any model may run.
+ *
+ * Returns { shouldRun, reason, bindingWindow, utilization, ceiling, models }.
  */
-export function evaluate({ rateLimits, config }) {
+export function evaluate({ rateLimits, config, now = Date.now() }) {
   const t = config.thresholds || {};
-  const maxUtil = t.maxUtilization ?? 0.80;
 
   if (!rateLimits) {
-    return { shouldRun: false, reason: 'Failed to fetch rate limits', bindingWindow: null, utilization: null };
+    return { shouldRun: false, reason: 'Failed to fetch rate limits', bindingWindow: null, utilization: null, ceiling: null, models: null };
+  }
+
+  // OAuth token expired and could not be refreshed
+  if (rateLimits.needsRelogin) {
+    return { shouldRun: false, reason: `Credentials need re-login (run \`claude\`): ${rateLimits.error}`, bindingWindow: null, utilization: null, ceiling: null, models: null };
   }
 
   // Rate limited (429)
   if (rateLimits.statusCode === 429) {
-    return { shouldRun: false, reason: 'Currently rate limited (429)', bindingWindow: null, utilization: null };
+    return { shouldRun: false, reason: 'Currently rate limited (429)', bindingWindow: null, utilization: null, ceiling: null, models: null };
   }
 
   const windows = rateLimits.windows;
   if (!windows || Object.keys(windows).length === 0) {
-    return { shouldRun: false, reason: 'No rate limit windows found in response', bindingWindow: null, utilization: null };
+    return { shouldRun: false, reason: 'No rate limit windows found in response', bindingWindow: null, utilization: null, ceiling: null, models: null };
+  }
+
+  // Never burn into paid usage unless explicitly allowed
+  if (!t.allowOverage) {
+    const spill = detectOverage(rateLimits);
+    if (spill) {
+      return { shouldRun: false, reason: spill, bindingWindow: OVERAGE_WINDOW, utilization: windows[OVERAGE_WINDOW]?.utilization ?? null, ceiling: null, models: null };
+    }
+  }
+
+  const overall = evaluateWindows({ rateLimits, windows, thresholds: t, now });
+  if (overall.shouldRun) {
+    return { ...overall, models: null };
+  }
+
+  // Some model families may only draw from windows that still have headroom
+  const open = [];
+  for (const [family, names] of Object.entries(modelWindowMap(config))) {
+    const subset = Object.fromEntries(names.filter(n => windows[n]).map(n => [n, windows[n]]));
+    if (Object.keys(subset).length === 0) continue;
+    if (evaluateWindows({ rateLimits, windows: subset, thresholds: t, now }).shouldRun) {
+      open.push(family);
+    }
   }
 
+  if (open.length > 0) {
+    return { ...overall, shouldRun: true, reason: `${overall.reason} — run, but only with ${open.join(' or ')}`, models: open };
+  }
+
+  return { ...overall, models: null };
+}
+
+/**
+ * Blocked-window check followed by the configured threshold policy, applied
+ * to the given set of windows.
+ */
+function evaluateWindows({ rateLimits, windows, thresholds, now }) {
   // Check if any window is explicitly blocked
-  for (const [name, data] of Object.entries(windows)) {
+  for (const [name, data] of quotaWindows(windows)) {
     if (data.status && data.status !== 'allowed') {
       const pct = data.utilization != null ? ` (${(data.utilization * 100).toFixed(1)}% used)` : '';
       return {
@@ -31,60 +121,363 @@ export function evaluate({ rateLimits, config }) {
         reason: `Window "${name}" is ${data.status}${pct}`,
         bindingWindow: name,
         utilization: data.utilization,
+        ceiling: null,
       };
     }
   }
 
+  const policyName = thresholds.policy ?? 'static';
+  const policy = POLICIES[policyName];
+  if (!policy) {
+    return { shouldRun: false, reason: `Unknown threshold policy "${policyName}"`, bindingWindow: null, utilization: null, ceiling: null };
+  }
+
+  return policy({ rateLimits, windows, thresholds, now });
+}
+
+function modelWindowMap(config) {
+  return { ...MODEL_WINDOWS, ...config.execution?.modelWindows };
+}
+
+/**
+ * Map a model name or alias (e.g. "sonnet", "claude-opus-4-1") to its
+ * family in the model window map. Returns null for unknown or default models.
+ */
+export function modelFamily(model, config = {}) {
+  if (!model) return null;
+  const lower = String(model).toLowerCase();
+  return Object.keys(modelWindowMap(config)).find(f => lower.includes(f)) ?? null;
+}
+
+/**
+ * Choose the model a task should run with under a decision.
+ *
+ * Candidates are task.models in preference order, else the single
+ * task.model / execution.model. When the decision restricts models, the first
+ * candidate whose family has headroom wins; a task without an explicit model
+ * cannot run under such a restriction.
+ *
+ * Returns the model name (null = CLI default), or undefined if none fits.
+ */
+export function routeModel(task, decision, config = {}) {
+  const candidates = task.models?.length
+    ? task.models
+    : [task.model || config.execution?.model || null];
+
+  if (!decision?.models) return candidates[0];
+  return candidates.find(m => decision.models.includes(modelFamily(m, config)));
+}
+
+/**
+ * Return a reason string if the subscription has spilled into paid overage
+ * usage, otherwise null.
+ */
+export function detectOverage(rateLimits) {
+  const overage = rateLimits.windows?.[OVERAGE_WINDOW];
+  if (overage?.utilization > 0) {
+    return `Overage window at ${(overage.utilization * 100).toFixed(1)}% — subscription has spilled into paid usage`;
+  }
+  if (rateLimits.meta?.representativeClaim === OVERAGE_WINDOW) {
+    return 'Binding window is overage — subscription has spilled into paid usage';
+  }
+  if (rateLimits.meta?.fallbackPercentage > 0) {
+    return `Fallback at ${(rateLimits.meta.fallbackPercentage * 100).toFixed(1)}% — subscription has spilled into paid usage`;
+  }
+  return null;
+}
+
+/**
+ * Entries of all windows that count against the subscription quota.
+ */
+function quotaWindows(windows) {
+  return Object.entries(windows).filter(([name]) => name !== OVERAGE_WINDOW);
+}
+
+/**
+ * Resolve the utilization limit that applies to one window.
+ *
+ * A per-window entry in thresholds.windows overrides maxUtilization. Under the
+ * pace policy the reset-aware ceiling is used instead, capped by any explicit
+ * per-window entry.
+ *
+ * Returns { limit, kind } where kind is "window", "static" or "pace".
+ */
+export function windowLimit(name, data, thresholds = {}, now = Date.now()) {
+  const explicit = thresholds.windows?.[name];
+  const fallback = { limit: explicit ?? thresholds.maxUtilization ?? 0.80, kind: explicit != null ? 'window' : 'static' };
+
+  if ((thresholds.policy ?? 'static') !== 'pace') return fallback;
+
+  const paced = paceCeiling(name, data, thresholds, now);
+  if (paced == null) return fallback;
+  if (explicit != null && explicit < paced) return { limit: explicit, kind: 'window' };
+  return { limit: paced, kind: 'pace' };
+}
+
+/**
+ * Static policy: every window is compared against its fixed limit
+ * (thresholds.windows[name] or maxUtilization). When all pass, the binding
+ * window reported by the API is used for the reason.
+ */
+function evaluateStatic({ rateLimits, windows, thresholds, now }) {
+  const entries = quotaWindows(windows);
+  if (entries.length === 0) {
+    return { shouldRun: false, reason: 'No usable rate limit window found', bindingWindow: null, utilization: null, ceiling: null };
+  }
+
+  // Over-limit windows, worst (highest utilization relative to its limit) first
+  const over = entries
+    .map(([name, data]) => ({ name, util: data.utilization ?? 0, ...windowLimit(name, data, thresholds, now) }))
+    .filter(w => w.util >= w.limit)
+    .sort((a, b) => b.util / b.limit - a.util / a.limit);
+
+  if (over.length > 0) {
+    const { name, util, limit, kind } = over[0];
+    const pctUsed = (util * 100).toFixed(1);
+    const threshold = (limit * 100).toFixed(1);
+    return {
+      shouldRun: false,
+      reason: `Window "${name}" at ${pctUsed}% utilization (>= ${threshold}% ${kind === 'window' ? 'window limit' : 'threshold'}, well-used)`,
+      bindingWindow: name,
+      utilization: util,
+      ceiling: limit,
+    };
+  }
+
   // Determine binding window: use representativeClaim from API, or fall back to highest utilization
   const bindingName = rateLimits.meta.representativeClaim;
   let activeWindow, activeWindowName;
 
-  if (bindingName && windows[bindingName]) {
+  if (bindingName && windows[bindingName] && bindingName !== OVERAGE_WINDOW) {
     activeWindow = windows[bindingName];
     activeWindowName = bindingName;
   } else {
     // Fall back to window with highest utilization
-    const sorted = Object.entries(windows).sort(([, a], [, b]) => (b.utilization ?? 0) - (a.utilization ?? 0));
-    if (sorted.length > 0) {
-      [activeWindowName, activeWindow] = sorted[0];
+    [activeWindowName, activeWindow] = [...entries].sort(([, a], [, b]) => (b.utilization ?? 0) - (a.utilization ?? 0))[0];
+  }
+
+  // All checks passed — capacity available
+  const util = activeWindow.utilization ?? 0;
+  const pctUsed = (util * 100).toFixed(1);
+  const pctRemaining = ((1 - util) * 100).toFixed(1);
+
+  return {
+    shouldRun: true,
+    reason: `Window "${activeWindowName}" at ${pctUsed}% (${pctRemaining}% remaining${resetSuffix(activeWindow, now)})`,
+    bindingWindow: activeWindowName,
+    utilization: util,
+    ceiling: windowLimit(activeWindowName, activeWindow, thresholds, now).limit,
+  };
+}
+
+/**
+ * Compute the reset-aware ceiling for a window: conservative early in the
+ * window, rising towards endCeiling as the reset approaches (capacity that is
+ * about to expire is worth burning). Returns null when the window length or
+ * reset time is unknown.
+ */
+export function paceCeiling(name, data, thresholds = {}, now = Date.now()) {
+  const lengthMs = (WINDOW_LENGTHS[name] ?? 0) * 1000;
+  if (!lengthMs || !data?.reset) return null;
+
+  const { startCeiling, endCeiling, curve } = { ...PACE_DEFAULTS, ...thresholds.pace };
+  const remainingMs = Math.min(Math.max(data.reset * 1000 - now, 0), lengthMs);
+  const elapsed = 1 - remainingMs / lengthMs;
+
+  return startCeiling + (endCeiling - startCeiling) * elapsed ** curve;
+}
+
+/**
+ * Pace policy: every window gets its own ceiling from windowLimit(). Windows
+ * without a known length fall back to their static limit. The window with the
+ * least headroom decides.
+ */
+function evaluatePace({ windows, thresholds, now }) {
+  let tightest = null;
+  for (const [name, data] of quotaWindows(windows)) {
+    const util = data.utilization ?? 0;
+    const { limit, kind } = windowLimit(name, data, thresholds, now);
+    const headroom = limit - util;
+    if (!tightest || headroom < tightest.headroom) {
+      tightest = { name, data, util, limit, kind, headroom };
     }
   }
 
-  if (!activeWindow) {
-    return { shouldRun: false, reason: 'No usable rate limit window found', bindingWindow: null, utilization: null };
+  if (!tightest) {
+    return { shouldRun: false, reason: 'No usable rate limit window found', bindingWindow: null, utilization: null, ceiling: null };
   }
 
-  const util = activeWindow.utilization ?? 0;
+  const { name, data, util, limit, kind, headroom } = tightest;
+  const pctUsed = (util * 100).toFixed(1);
+  const pctCeiling = (limit * 100).toFixed(1);
+  const label = { pace: 'pace ceiling', window: 'window limit', static: 'static threshold' }[kind];
+  const resetInfo = resetSuffix(data, now);
 
-  // Check utilization threshold
-  if (util >= maxUtil) {
-    const pctUsed = (util * 100).toFixed(1);
-    const threshold = (maxUtil * 100).toFixed(1);
+  if (headroom <= 0) {
     return {
       shouldRun: false,
-      reason: `Window "${activeWindowName}" at ${pctUsed}% utilization (>= ${threshold}% threshold, well-used)`,
-      bindingWindow: activeWindowName,
+      reason: `Window "${name}" at ${pctUsed}% (>= ${pctCeiling}% ${label}${resetInfo})`,
+      bindingWindow: name,
       utilization: util,
+      ceiling: limit,
     };
   }
 
-  // All checks passed — capacity available
-  const pctUsed = (util * 100).toFixed(1);
-  const pctRemaining = ((1 - util) * 100).toFixed(1);
-  let resetInfo = '';
-  if (activeWindow.reset) {
-    const resetMs = activeWindow.reset * 1000 - Date.now();
-    if (resetMs > 0) {
-      resetInfo = `, resets ${formatDuration(resetMs)}`;
-    }
-  }
-
   return {
     shouldRun: true,
-    reason: `Window "${activeWindowName}" at ${pctUsed}% (${pctRemaining}% remaining${resetInfo})`,
-    bindingWindow: activeWindowName,
+    reason: `Window "${name}" at ${pctUsed}% (${label} ${pctCeiling}%, ${(headroom * 100).toFixed(1)}% headroom${resetInfo})`,
+    bindingWindow: name,
     utilization: util,
+    ceiling: limit,
+  };
+}
+
+/**
+ * When the windows that block running now will have headroom again, assuming
+ * no other usage: a window over a fixed limit (or explicitly blocked) opens
+ * at its reset, a window over its pace ceiling once the rising ceiling
+ * passes its utilization. A model family whose own windows open earlier
+ * counts, as evaluate() would route to it.
+ *
+ * On a 429 the reset times sent with it are used.
+ *
+ * Returns { at, window } (ms, and the window that opens last), or null when
+ * nothing is blocked or an opening time is unknown.
+ */
+export function nextHeadroom({ rateLimits, config, now = Date.now() }) {
+  const windows = rateLimits?.windows;
+  if (!windows || rateLimits.needsRelogin) return null;
+  if (rateLimits.statusCode === 429) return rateLimitedUntil(rateLimits);
+  const thresholds = config.thresholds || {};
+
+  const opensAt = (names) => {
+    let latest = { at: now, window: null };
+    for (const name of names) {
+      const at = windowOpensAt(name, windows[name], thresholds, now);
+      if (at == null) return null;
+      if (at > latest.at) latest = { at, window: name };
+    }
+    return latest;
   };
+
+  const candidates = [Object.keys(windows), ...Object.values(modelWindowMap(config))]
+    .map(names => names.filter(n => windows[n] && n !== OVERAGE_WINDOW))
+    .filter(names => names.length > 0)
+    .map(opensAt)
+    .filter(Boolean);
+  if (candidates.length === 0) return null;
+
+  const earliest = candidates.reduce((a, b) => (b.at < a.at ? b : a));
+  return earliest.window ? earliest : null;
+}
+
+/**
+ * When a 429 ends, from the reset headers that come with it: the latest reset
+ * among the rejected windows, else the overall reset. Null if neither is
+ * given.
+ */
+function rateLimitedUntil(rateLimits) {
+  const rejected = Object.entries(rateLimits.windows)
+    .filter(([name, w]) => name !== OVERAGE_WINDOW && w.status && w.status !== 'allowed' && w.reset);
+  if (rejected.length > 0) {
+    const [window, data] = rejected.reduce((a, b) => (b[1].reset > a[1].reset ? b : a));
+    return { at: data.reset * 1000, window };
+  }
+  const reset = rateLimits.meta?.reset;
+  return reset ? { at: reset * 1000, window: rateLimits.meta.representativeClaim ?? 'rate limit' } : null;
+}
+
+/**
+ * When one window drops below its limit: `now` if it already is, null if
+ * unknown (no reset time).
+ */
+function windowOpensAt(name, data, thresholds, now) {
+  const util = data.utilization ?? 0;
+  const blocked = data.status && data.status !== 'allowed';
+  const { limit, kind } = windowLimit(name, data, thresholds, now);
+  if (!blocked && util < limit) return now;
+
+  const resetMs = data.reset ? data.reset * 1000 : null;
+  if (blocked || kind !== 'pace') return resetMs;
+
+  // Invert the pace curve: the elapsed fraction at which the ceiling reaches util
+  const { startCeiling, endCeiling, curve } = { ...PACE_DEFAULTS, ...thresholds.pace };
+  const explicit = thresholds.windows?.[name];
+  if (util >= endCeiling || (explicit != null && util >= explicit)) return resetMs;
+  const elapsed = ((util - startCeiling) / (endCeiling - startCeiling)) ** (1 / curve);
+  return Math.max(now, resetMs - (1 - elapsed) * WINDOW_LENGTHS[name] * 1000);
+}
+
+/**
+ * Estimate a task's duration and per-window quota cost.
+ *
+ * A declared task.estimate ({ durationMinutes, windows: { "5h": 0.05 } })
+ * wins; missing parts come from past runs (average, or worst case when
+ * config.scheduling.useWorstCase is set). Returns null if nothing is known.
+ */
+export function estimateTask(task, stats, config = {}) {
+  const worstCase = config.scheduling?.useWorstCase ?? false;
+  const declared = task.estimate || {};
+
+  const durationMs = declared.durationMinutes != null
+    ? declared.durationMinutes * 60_000
+    : (worstCase ? stats?.worstDurationMs : stats?.avgDurationMs) ?? null;
+  const windows = declared.windows ?? (worstCase ? stats?.worst : stats?.avg) ?? null;
+
+  if (durationMs == null && (!windows || Object.keys(windows).length === 0)) return null;
+  return { durationMs, windows: windows || {}, source: task.estimate ? 'declared' : 'history' };
+}
+
+/**
+ * Check whether a task with the given estimate fits the remaining capacity:
+ * no window may be pushed past its limit, and (unless
+ * config.scheduling.requireFinishBeforeReset is false) the task must be
+ * expected to finish before the binding window resets.
+ *
+ * When the decision restricts models, `model` is the one the task was routed
+ * to (see routeModel) and only its family's windows are checked; the binding
+ * window is then the one among them.
+ *
+ * Returns null if it fits (or nothing is known), otherwise a reason string.
+ */
+export function checkFit(estimate, { rateLimits, decision, model, config = {}, now = Date.now() }) {
+  if (!estimate || !rateLimits?.windows) return null;
+  const thresholds = config.thresholds || {};
+
+  let windows = rateLimits.windows;
+  let bindingWindow = decision?.bindingWindow;
+  const family = decision?.models && modelWindowMap(config)[modelFamily(model, config)];
+  if (family) {
+    windows = Object.fromEntries(family.filter(n => windows[n]).map(n => [n, windows[n]]));
+    bindingWindow = evaluateWindows({ rateLimits, windows, thresholds, now }).bindingWindow;
+  }
+
+  for (const [name, cost] of Object.entries(estimate.windows)) {
+    const data = windows[name];
+    if (!data || name === OVERAGE_WINDOW || !(cost > 0)) continue;
+    const util = data.utilization ?? 0;
+    const { limit } = windowLimit(name, data, thresholds, now);
+    if (util + cost > limit) {
+      return `needs ~${(cost * 100).toFixed(1)}% of "${name}", would reach ${((util + cost) * 100).toFixed(1)}% (> ${(limit * 100).toFixed(1)}% limit)`;
+    }
+  }
+
+  const requireFinish = config.scheduling?.requireFinishBeforeReset ?? true;
+  const binding = bindingWindow && windows[bindingWindow];
+  if (requireFinish && estimate.durationMs && binding?.reset) {
+    const resetMs = binding.reset * 1000 - now;
+    if (resetMs > 0 && estimate.durationMs > resetMs) {
+      return `needs ~${formatDuration(estimate.durationMs).replace('in ', '')} but "${bindingWindow}" resets ${formatDuration(resetMs)}`;
+    }
+  }
+
+  return null;
+}
+
+function resetSuffix(window, now) {
+  if (!window.reset) return '';
+  const resetMs = window.reset * 1000 - now;
+  return resetMs > 0 ? `, resets ${formatDuration(resetMs)}` : '';
 }
 
 function formatDuration(ms) {
@@ -99,27 +492,178 @@ function formatDuration(ms) {
   return `in ${d}d ${remH}h`;
 }
 
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// How far ahead the end of a quiet period is looked for
+const QUIET_LOOKAHEAD_DAYS = 14;
+
+/**
+ * Check whether watch mode is in quiet hours at `now`, given the `watch`
+ * config. Quiet hours come from `watch.quietHours`, a weekly calendar:
+ *
+ *   {
+ *     "timezone": "Europe/Berlin",
+ *     "weekly": { "mon-fri": ["08:00-18:00"], "sat,sun": [] },
+ *     "exceptions": { "2026-12-24": [] }
+ *   }
+ *
+ * Each day uses its exception entry if it has one, else its weekly entry,
+ * else the daily `quietHoursStart`-`quietHoursEnd` range. A range belongs to
+ * the day it starts on and may run past midnight ("22:00-07:00"). Times are
+ * in `timezone` (an IANA name, default: the server's local timezone).
+ *
+ * Returns null outside quiet hours, else { reason, until, timeZone } where
+ * `until` is when the quiet period ends (ms), or null if it doesn't end
+ * within two weeks. Throws on an invalid calendar.
+ */
+export function isQuietHours(watch = {}, now = Date.now()) {
+  const calendar = quietCalendar(watch);
+  if (!calendar) return null;
+
+  const today = zonedParts(now, calendar.timeZone);
+  const intervals = [];
+  for (let k = -1; k <= QUIET_LOOKAHEAD_DAYS; k++) {
+    intervals.push(...quietIntervals(calendar, new Date(Date.UTC(today.year, today.month - 1, today.day + k))));
+  }
+  intervals.sort((a, b) => a.from - b.from);
+
+  const current = intervals.find(i => i.from <= now && now < i.to);
+  if (!current) return null;
+
+  // Back-to-back ranges (e.g. Friday night into an all-day Saturday) form one quiet period
+  let until = current.to;
+  for (const i of intervals) {
+    if (i.from <= until && i.to > until) until = i.to;
+  }
+  const horizon = now + (QUIET_LOOKAHEAD_DAYS - 1) * 86_400_000;
+  return { reason: current.reason, until: until > horizon ? null : until, timeZone: calendar.timeZone };
+}
+
 /**
- * Check if current time is within quiet hours.
- * Returns true if execution should be suppressed.
+ * Human-readable quiet state from isQuietHours, e.g.
+ * "quiet until Mon 07:00 Europe/Berlin (mon-fri 08:00-18:00)".
  */
-export function isQuietHours(quietStart, quietEnd) {
-  if (quietStart == null || quietEnd == null) return false;
+export function describeQuiet(quiet, now = Date.now()) {
+  if (!quiet) return 'not quiet';
+  const until = quiet.until == null ? 'quiet for the next two weeks' : `quiet until ${formatInZone(quiet.until, quiet.timeZone, now)}`;
+  return `${until} (${quiet.reason})`;
+}
 
-  const now = new Date();
-  const currentMinutes = now.getHours() * 60 + now.getMinutes();
+/**
+ * A time as "Mon 07:00 Europe/Berlin"; more than six days away, with the date.
+ */
+export function formatInZone(ms, timeZone, now = Date.now()) {
+  const options = { timeZone, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+  if (ms - now > 6 * 86_400_000) Object.assign(options, { month: 'short', day: 'numeric' });
+  return `${new Intl.DateTimeFormat('en-US', options).format(ms)} ${timeZone}`;
+}
 
-  const parseTime = (str) => {
-    const [h, m] = str.split(':').map(Number);
-    return h * 60 + (m || 0);
+/**
+ * Parse the quiet hours config into { timeZone, daily, days[7], exceptions },
+ * where each rule is { label, ranges }. Returns null when nothing is quiet.
+ */
+function quietCalendar(watch) {
+  const cal = watch.quietHours ?? {};
+  const timeZone = cal.timezone ?? Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Invalid quiet hours timezone "${cal.timezone}"`);
+  }
+
+  const legacy = (t) => (String(t).includes(':') ? String(t) : `${t}:00`);
+  const daily = watch.quietHoursStart != null && watch.quietHoursEnd != null
+    ? { label: null, ranges: parseActiveHours(`${legacy(watch.quietHoursStart)}-${legacy(watch.quietHoursEnd)}`) }
+    : null;
+
+  const days = new Array(7).fill(null);
+  for (const [key, ranges] of Object.entries(cal.weekly ?? {})) {
+    const rule = { label: key, ranges: parseActiveHours(ranges) };
+    for (const day of parseWeekdays(key)) days[day] = rule;
+  }
+
+  const exceptions = new Map();
+  for (const [date, ranges] of Object.entries(cal.exceptions ?? {})) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      throw new Error(`Invalid quiet hours exception date "${date}" (expected YYYY-MM-DD)`);
+    }
+    exceptions.set(date, { label: `exception ${date}`, ranges: parseActiveHours(ranges) });
+  }
+
+  if (!daily && days.every(d => !d) && exceptions.size === 0) return null;
+  return { timeZone, daily, days, exceptions };
+}
+
+/**
+ * Weekday numbers (0 = Sunday) for a key like "mon", "mon-fri", "fri-mon",
+ * "sat,sun" or "*" (every day).
+ */
+function parseWeekdays(key) {
+  if (key.trim() === '*') return [0, 1, 2, 3, 4, 5, 6];
+  const index = (name) => {
+    const i = WEEKDAYS.indexOf(name.trim().toLowerCase().slice(0, 3));
+    if (i < 0) throw new Error(`Invalid quiet hours weekday "${name}" in "${key}"`);
+    return i;
   };
+  return key.split(',').flatMap(part => {
+    const [from, to = from] = part.split('-').map(index);
+    const list = [from];
+    for (let d = from; d !== to; d = (d + 1) % 7) list.push((d + 1) % 7);
+    return list;
+  });
+}
 
-  const start = parseTime(String(quietStart));
-  const end = parseTime(String(quietEnd));
+/**
+ * Quiet intervals [{ from, to, reason }] (ms) of the ranges starting on the
+ * calendar day `date` (a UTC Date holding the day in the calendar timezone).
+ */
+function quietIntervals(calendar, date) {
+  const [y, m, d] = [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+  const key = `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+  const rule = calendar.exceptions.get(key) ?? calendar.days[date.getUTCDay()] ?? calendar.daily;
+  if (!rule) return [];
 
-  // Handle overnight ranges (e.g., 23:00 - 07:00)
-  if (start <= end) {
-    return currentMinutes >= start && currentMinutes < end;
+  return rule.ranges.map(({ start, end }) => {
+    const range = `${clock(start)}-${clock(end)}`;
+    return {
+      from: zonedToUtc(y, m, d, start, calendar.timeZone),
+      to: zonedToUtc(y, m, end > start ? d : d + 1, end, calendar.timeZone),
+      reason: rule.label ? `${rule.label} ${range}` : range,
+    };
+  });
+}
+
+function clock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+const zonedFormats = new Map();
+
+/**
+ * Wall-clock { year, month, day, hour, minute } of `ms` in `timeZone`.
+ */
+function zonedParts(ms, timeZone) {
+  if (!zonedFormats.has(timeZone)) {
+    zonedFormats.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
   }
-  return currentMinutes >= start || currentMinutes < end;
+  const parts = {};
+  for (const { type, value } of zonedFormats.get(timeZone).formatToParts(ms)) parts[type] = Number(value);
+  return parts;
+}
+
+/**
+ * The instant (ms) when the wall clock in `timeZone` shows the given day and
+ * minute of the day. Minutes past 24:00 roll over into the next day.
+ */
+function zonedToUtc(year, month, day, minutes, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = (ms) => {
+    const p = zonedParts(ms, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - Math.floor(ms / 60_000) * 60_000;
+  };
+  // Second pass corrects the offset when a DST change lies between the guess and the answer
+  const guess = wall - offset(wall);
+  return wall - offset(guess);
 }
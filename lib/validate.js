@@ -0,0 +1,366 @@
+import { existsSync, statSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { ERROR_CLASSES } from './retry.js';
+import { isSafeId } from './reports.js';
+import { parseSchedule, parseActiveHours, parseTaskTime } from './schedule.js';
+import { isQuietHours } from './threshold.js';
+import { findDependencyCycles } from './task-manager.js';
+
+/**
+ * Validation of config.json and tasks.json: types, ranges, allowed values,
+ * required fields, unknown keys (with "did you mean" suggestions) and
+ * cross-field checks.
+ *
+ * Every check returns a list of problems { level, file, path, message } where
+ * level is "error" or "warning" and path a JSON path such as
+ * "tasks[2].maxBudgetUSD".
+ */
+
+const TASK_STATUSES = ['on', 'off', 'done', 'running', 'failed'];
+
+// --- Schema building blocks ---
+
+const string = (opts) => ({ type: 'string', ...opts });
+const number = (opts) => ({ type: 'number', ...opts });
+const integer = (opts) => ({ type: 'integer', ...opts });
+const boolean = (opts) => ({ type: 'boolean', ...opts });
+const oneOf = (values, opts) => ({ type: 'string', enum: values, ...opts });
+const array = (items, opts) => ({ type: 'array', items, ...opts });
+const object = (fields, opts) => ({ type: 'object', fields, ...opts });
+const map = (values, opts) => ({ type: 'object', values, ...opts });
+const nullable = (schema) => ({ ...schema, nullable: true });
+
+/** Wrap a parser that throws into a check returning its error message. */
+const parses = (parse) => (value) => {
+  try {
+    parse(value);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+};
+
+const RETRY_SCHEMA = object({
+  maxRetries: integer({ min: 0 }),
+  backoffMinutes: number({ min: 0 }),
+  backoffFactor: number({ min: 1 }),
+  maxBackoffMinutes: number({ min: 0 }),
+  retryOn: array(oneOf(ERROR_CLASSES)),
+});
+
+const CONFIG_SCHEMA = object({
+  thresholds: object({
+    policy: oneOf(['static', 'pace']),
+    maxUtilization: number({ above: 0, max: 1 }),
+    windows: map(number({ above: 0, max: 1 })),
+    allowOverage: boolean(),
+    pace: object({
+      startCeiling: number({ min: 0, max: 1 }),
+      endCeiling: number({ min: 0, max: 1 }),
+      curve: number({ above: 0 }),
+    }),
+  }),
+  watch: object({
+    intervalMinutes: number({ above: 0 }),
+    quietHoursStart: nullable({ type: ['string', 'number'] }),
+    quietHoursEnd: nullable({ type: ['string', 'number'] }),
+    quietHours: nullable(object({
+      timezone: string(),
+      weekly: map({ type: ['string', 'array'] }),
+      exceptions: map({ type: ['string', 'array'] }),
+    })),
+    adaptive: boolean(),
+    minIntervalMinutes: number({ above: 0 }),
+    maxIntervalMinutes: number({ above: 0 }),
+    fastPollMargin: number({ min: 0, max: 1 }),
+  }, { check: parses(watch => isQuietHours(watch)) }),
+  execution: object({
+    model: nullable(string()),
+    defaultAllowedTools: nullable(string()),
+    yolo: boolean(),
+    concurrency: integer({ min: 1 }),
+    modelWindows: map(array(string())),
+    timeoutMinutes: number({ above: 0 }),
+    killGraceSeconds: number({ min: 0 }),
+    claudeBin: string(),
+    continuation: oneOf(['context', 'resume']),
+    isolation: oneOf(['none', 'worktree']),
+    savePatches: boolean(),
+    stream: boolean(),
+    pricing: map(object({
+      input: number({ min: 0 }),
+      output: number({ min: 0 }),
+      cacheRead: number({ min: 0 }),
+      cacheWrite: number({ min: 0 }),
+    })),
+  }),
+  auth: object({
+    tokenUrl: nullable(string()),
+    clientId: nullable(string()),
+  }),
+  api: object({
+    baseUrl: nullable(string()),
+  }),
+  scheduling: object({
+    requireFinishBeforeReset: boolean(),
+    useWorstCase: boolean(),
+  }),
+  retry: RETRY_SCHEMA,
+  reports: object({
+    keepRuns: nullable(integer({ min: 1 })),
+    maxAgeDays: nullable(number({ above: 0 })),
+    maxSizeMB: nullable(number({ above: 0 })),
+  }),
+});
+
+const VERIFY_COMMAND = { type: ['string', 'object'], fields: { command: string({ required: true }), timeoutMinutes: number({ above: 0 }) } };
+
+const TASK_SCHEMA = object({
+  id: string({ required: true, nonEmpty: true, check: id => (isSafeId(id) ? null : 'must not contain "/" or "\\", or be "." or ".." (it names report and context directories)') }),
+  name: string({ required: true, nonEmpty: true }),
+  prompt: string({ required: true, nonEmpty: true }),
+  status: oneOf(TASK_STATUSES, { required: true }),
+  projectDir: nullable(string()),
+  priority: number(),
+  model: nullable(string()),
+  models: array(string()),
+  allowedTools: nullable(string()),
+  maxBudgetUSD: nullable(number({ above: 0 })),
+  timeoutMinutes: number({ above: 0 }),
+  continuation: oneOf(['context', 'resume']),
+  sessionId: nullable(string()),
+  isolation: oneOf(['none', 'worktree']),
+  verify: {
+    type: ['array', 'object'],
+    items: VERIFY_COMMAND,
+    fields: {
+      commands: array(VERIFY_COMMAND, { required: true }),
+      timeoutMinutes: number({ above: 0 }),
+      onFailure: oneOf(['fail', 'fixup']),
+      maxFixups: integer({ min: 0 }),
+      rollback: boolean(),
+    },
+  },
+  savePatches: boolean(),
+  stream: boolean(),
+  maxTurns: integer({ min: 1 }),
+  maxCostUSD: number({ above: 0 }),
+  owner: object({ pid: integer(), host: string(), runId: string(), startedAt: string() }),
+  retry: RETRY_SCHEMA,
+  schedule: string({ check: parses(parseSchedule) }),
+  notBefore: string({ check: parses(parseTaskTime) }),
+  notAfter: string({ check: parses(parseTaskTime) }),
+  activeHours: { type: ['string', 'array'], check: parses(parseActiveHours) },
+  dependsOn: array(string()),
+  estimate: object({
+    durationMinutes: number({ above: 0 }),
+    windows: map(number({ min: 0 })),
+  }),
+  repeat: boolean(),
+  yolo: boolean(),
+  permissions: array(string()),
+  attempts: integer({ min: 0 }),
+  nextAttemptAt: string({ check: parses(parseTaskTime) }),
+});
+
+const TASKS_FILE_SCHEMA = object({
+  tasks: array(TASK_SCHEMA, { required: true }),
+});
+
+// --- Checking ---
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function typeMatches(expected, actual) {
+  return expected === actual || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Check `value` against `schema`, pushing problems for `file` onto `out`.
+ */
+function check(schema, value, path, file, out) {
+  const error = (message) => out.push({ level: 'error', file, path, message });
+
+  if (value === null && schema.nullable) return;
+  const types = [].concat(schema.type);
+  const actual = typeOf(value);
+  if (!types.some(t => typeMatches(t, actual))) {
+    error(`expected ${types.join(' or ')}, got ${actual === 'integer' ? 'number' : actual}`);
+    return;
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.min != null && value < schema.min) error(`must be >= ${schema.min}, got ${value}`);
+    if (schema.above != null && value <= schema.above) error(`must be > ${schema.above}, got ${value}`);
+    if (schema.max != null && value > schema.max) error(`must be <= ${schema.max}, got ${value}`);
+  }
+  if (actual === 'string') {
+    if (schema.enum && !schema.enum.includes(value)) {
+      error(`must be one of ${schema.enum.map(v => `"${v}"`).join(', ')}, got "${value}"${suggestion(value, schema.enum)}`);
+    }
+    if (schema.nonEmpty && value.trim() === '') error('must not be empty');
+  }
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, file, out));
+  }
+  if (actual === 'object') {
+    if (schema.fields) checkFields(schema.fields, value, path, file, out);
+    if (schema.values) {
+      for (const [key, item] of Object.entries(value)) check(schema.values, item, joinPath(path, key), file, out);
+    }
+  }
+  if (schema.check) {
+    const message = schema.check(value);
+    if (message) error(message);
+  }
+}
+
+function checkFields(fields, value, path, file, out) {
+  for (const [key, schema] of Object.entries(fields)) {
+    if (value[key] === undefined) {
+      if (schema.required) out.push({ level: 'error', file, path: joinPath(path, key), message: 'is required' });
+      continue;
+    }
+    check(schema, value[key], joinPath(path, key), file, out);
+  }
+  for (const key of Object.keys(value)) {
+    if (key in fields) continue;
+    out.push({ level: 'warning', file, path: joinPath(path, key), message: `unknown field, ignored${suggestion(key, Object.keys(fields))}` });
+  }
+}
+
+function joinPath(path, key) {
+  const part = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `["${key}"]`;
+  if (!path) return part;
+  return part.startsWith('[') ? `${path}${part}` : `${path}.${part}`;
+}
+
+/**
+ * " (did you mean "x"?)" for the closest known name, if one is close enough.
+ */
+function suggestion(name, known) {
+  const lower = String(name).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of known) {
+    const distance = candidate.toLowerCase() === lower ? 0 : editDistance(lower, candidate.toLowerCase());
+    if (distance < bestDistance) [best, bestDistance] = [candidate, distance];
+  }
+  const limit = Math.max(1, Math.floor(String(name).length / 4));
+  return best != null && bestDistance <= limit ? ` (did you mean "${best}"?)` : '';
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// --- Public API ---
+
+/**
+ * Validate the user's config object (as written in config.json, before
+ * defaults are merged in).
+ */
+export function validateConfig(user, { file = 'config.json' } = {}) {
+  const out = [];
+  check(CONFIG_SCHEMA, user, '', file, out);
+  return out;
+}
+
+/**
+ * Validate a parsed tasks file: the schema of every task, plus unique ids,
+ * dependencies on known tasks without cycles, and (with `checkDirs`) that
+ * each projectDir exists. A missing projectDir is an error for tasks that
+ * can run ("on"/"running") and a warning otherwise.
+ */
+export function validateTasks(data, { file = 'tasks.json', checkDirs = true } = {}) {
+  const out = [];
+  check(TASKS_FILE_SCHEMA, data, '', file, out);
+  const tasks = Array.isArray(data?.tasks) ? data.tasks : [];
+
+  const seen = new Map();
+  tasks.forEach((task, i) => {
+    if (typeof task?.id !== 'string') return;
+    if (seen.has(task.id)) {
+      out.push({ level: 'error', file, path: `tasks[${i}].id`, message: `duplicate id "${task.id}" (also tasks[${seen.get(task.id)}])` });
+    } else {
+      seen.set(task.id, i);
+    }
+  });
+
+  const valid = tasks.filter(t => t && typeof t === 'object' && !Array.isArray(t));
+  const inCycle = new Set(findDependencyCycles(valid.filter(t => Array.isArray(t.dependsOn ?? []))).flat());
+  tasks.forEach((task, i) => {
+    if (!task || typeof task !== 'object') return;
+    const path = `tasks[${i}]`;
+
+    if (Array.isArray(task.dependsOn)) {
+      task.dependsOn.forEach((dep, j) => {
+        if (typeof dep === 'string' && !seen.has(dep)) {
+          out.push({ level: 'error', file, path: `${path}.dependsOn[${j}]`, message: `unknown task "${dep}"${suggestion(dep, [...seen.keys()])}` });
+        }
+      });
+    }
+    if (inCycle.has(task.id)) {
+      out.push({ level: 'error', file, path: `${path}.dependsOn`, message: 'part of a dependency cycle' });
+    }
+
+    if (typeof task.notBefore === 'string' && typeof task.notAfter === 'string') {
+      try {
+        if (parseTaskTime(task.notBefore) >= parseTaskTime(task.notAfter, { endOfDay: true })) {
+          out.push({ level: 'warning', file, path: `${path}.notAfter`, message: 'is not after notBefore, the task can never start' });
+        }
+      } catch { /* reported by the schema */ }
+    }
+
+    if (checkDirs && typeof task.projectDir === 'string' && !isDirectory(task.projectDir)) {
+      const runnable = task.status === 'on' || task.status === 'running';
+      out.push({ level: runnable ? 'error' : 'warning', file, path: `${path}.projectDir`, message: `directory does not exist: ${task.projectDir}` });
+    }
+  });
+
+  return out;
+}
+
+/**
+ * Tasks that have validation errors and must not run: a Map of task id to
+ * its error problems.
+ */
+export function invalidTasks(data, options) {
+  const invalid = new Map();
+  for (const p of validateTasks(data, options)) {
+    const match = p.level === 'error' && p.path.match(/^tasks\[(\d+)\]/);
+    if (!match) continue;
+    const id = data.tasks[Number(match[1])]?.id;
+    if (!invalid.has(id)) invalid.set(id, []);
+    invalid.get(id).push(p);
+  }
+  return invalid;
+}
+
+/**
+ * One problem as "file: path: message".
+ */
+export function formatProblem({ file, path, message }) {
+  return `${file}: ${path || '(root)'}: ${message}`;
+}
+
+function isDirectory(path) {
+  try {
+    return existsSync(resolve(path)) && statSync(resolve(path)).isDirectory();
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,110 @@
+import { spawn } from 'node:child_process';
+import * as logger from './logger.js';
+
+/**
+ * Post-run verification: shell commands (tests, lint, typecheck) that decide
+ * whether a run really succeeded.
+ */
+
+export const VERIFY_DEFAULTS = {
+  timeoutMinutes: 10,
+  onFailure: 'fail',
+  maxFixups: 1,
+  rollback: false,
+};
+
+/**
+ * Normalized verify settings for a task, or null if it has none.
+ * `task.verify` is either a list of commands or
+ * { commands, timeoutMinutes, onFailure, maxFixups, rollback }; a command is
+ * a string or { command, timeoutMinutes }.
+ */
+export function verifySpec(task) {
+  const raw = Array.isArray(task.verify) ? { commands: task.verify } : task.verify;
+  if (!raw?.commands?.length) return null;
+
+  const spec = { ...VERIFY_DEFAULTS, ...raw };
+  spec.commands = raw.commands.map(c => (typeof c === 'string' ? { command: c } : c))
+    .map(c => ({ command: c.command, timeoutMinutes: c.timeoutMinutes ?? spec.timeoutMinutes }));
+  return spec;
+}
+
+/**
+ * Run the verify commands in order in `cwd`, stopping at the first failure.
+ * Resolves with { passed, results: [{ command, exitCode, timedOut,
+ * durationMs, output }] } where output is the tail of stdout + stderr.
+ */
+export async function runVerification(spec, cwd, { taskId, graceMs = 10_000 } = {}) {
+  const results = [];
+  for (const { command, timeoutMinutes } of spec.commands) {
+    logger.info(`[${taskId}] Verifying: ${command}`);
+    const result = await runCommand(command, cwd, timeoutMinutes * 60_000, graceMs);
+    results.push(result);
+    if (result.exitCode !== 0) {
+      logger.warn(`[${taskId}] Verification failed: \`${command}\` ${result.timedOut ? `timed out after ${timeoutMinutes}m` : `exited ${result.exitCode}`}`);
+      return { passed: false, results };
+    }
+  }
+  logger.success(`[${taskId}] Verification passed (${results.length} command${results.length === 1 ? '' : 's'})`);
+  return { passed: true, results };
+}
+
+/**
+ * The failing command of a verification and its output, as a short text
+ * block for error messages and prompts.
+ */
+export function describeFailure(verification) {
+  const failed = verification.results.find(r => r.exitCode !== 0);
+  if (!failed) return '';
+  const status = failed.timedOut ? 'timed out' : `exited with code ${failed.exitCode}`;
+  return `\`${failed.command}\` ${status}:\n\n\`\`\`\n${failed.output.slice(-3000)}\n\`\`\``;
+}
+
+/**
+ * Prompt for a fix-up run after a failed verification.
+ */
+export function fixupPrompt(task, verification) {
+  return `Your changes for the task below failed verification. Fix the problems so that the verify commands pass. Do not weaken or skip the checks.\n\n## Failed check\n${describeFailure(verification)}\n\n## Original task\n${task.prompt}`;
+}
+
+/**
+ * Run one shell command in its own process group so a timeout stops the
+ * whole tree (e.g. npm and the test runner it started).
+ */
+function runCommand(command, cwd, timeoutMs, graceMs) {
+  return new Promise((resolvePromise) => {
+    const startTime = Date.now();
+    let output = '';
+    let timedOut = false;
+    let killTimer = null;
+
+    const child = spawn(command, { cwd, shell: true, detached: process.platform !== 'win32', windowsHide: true });
+    const kill = (signal) => {
+      try {
+        process.kill(process.platform === 'win32' ? child.pid : -child.pid, signal);
+      } catch { /* already gone */ }
+    };
+
+    const collect = chunk => {
+      output = (output + chunk).slice(-20_000);
+    };
+    child.stdout.setEncoding('utf-8').on('data', collect);
+    child.stderr.setEncoding('utf-8').on('data', collect);
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill('SIGTERM');
+      killTimer = setTimeout(() => kill('SIGKILL'), graceMs);
+    }, timeoutMs);
+
+    const done = (exitCode) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      resolvePromise({ command, exitCode, timedOut, durationMs: Date.now() - startTime, output: output.slice(-5000) });
+    };
+    child.on('error', err => {
+      collect(err.message);
+    });
+    child.on('close', code => done(timedOut ? null : code ?? 1));
+  });
+}
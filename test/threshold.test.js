@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate, routeModel, checkFit } from '../lib/threshold.js';
+
+const now = Date.parse('2026-01-05T12:00:00Z');
+const inHours = h => Math.floor(now / 1000) + h * 3600;
+
+const config = { thresholds: { maxUtilization: 0.80 } };
+const rateLimits = {
+  statusCode: 200,
+  meta: { representativeClaim: '7d' },
+  windows: {
+    '5h': { utilization: 0.30, status: 'allowed', reset: inHours(3) },
+    '7d': { utilization: 0.85, status: 'allowed', reset: inHours(0.1) },
+    '7d_sonnet': { utilization: 0.40, status: 'allowed', reset: inHours(2) },
+  },
+};
+const task = { id: 't', models: ['opus', 'sonnet'] };
+
+test('routed decision only checks the routed family\'s windows', () => {
+  const decision = evaluate({ rateLimits, config, now });
+  assert.deepEqual(decision.models, ['sonnet']);
+  const model = routeModel(task, decision, config);
+  assert.equal(model, 'sonnet');
+
+  // 7d is over its limit and resets in 6 minutes, but sonnet does not draw from it
+  const estimate = { durationMs: 30 * 60_000, windows: { '5h': 0.01, '7d': 0.002, '7d_sonnet': 0.002 }, source: 'history' };
+  assert.equal(checkFit(estimate, { rateLimits, decision, model, config, now }), null);
+});
+
+test('routed decision still rejects a task that overruns its family\'s windows', () => {
+  const decision = evaluate({ rateLimits, config, now });
+  const model = routeModel(task, decision, config);
+
+  const estimate = { durationMs: null, windows: { '7d_sonnet': 0.45 }, source: 'history' };
+  assert.match(checkFit(estimate, { rateLimits, decision, model, config, now }), /"7d_sonnet", would reach 85\.0%/);
+
+  const long = { durationMs: 4 * 3600_000, windows: {}, source: 'declared' };
+  assert.match(checkFit(long, { rateLimits, decision, model, config, now }), /but "7d_sonnet" resets in 2h 0m/);
+});
+
+test('unrestricted decision checks every window', () => {
+  const open = { ...rateLimits, windows: { ...rateLimits.windows, '7d': { ...rateLimits.windows['7d'], utilization: 0.79 } } };
+  const decision = evaluate({ rateLimits: open, config, now });
+  assert.equal(decision.models, null);
+
+  const estimate = { durationMs: null, windows: { '7d': 0.02 }, source: 'history' };
+  assert.match(checkFit(estimate, { rateLimits: open, decision, model: routeModel(task, decision, config), config, now }), /"7d", would reach 81\.0%/);
+});